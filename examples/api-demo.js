@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Example: Using the browser-console-tap programmatic API
+ *
+ * This example captures a page in-process with tap() instead of
+ * spawning the CLI, streaming console events as they arrive.
+ */
+
+import { tap } from '../src/tap.js';
+
+async function main() {
+  const url = process.argv[2] || 'https://example.com';
+  console.log(`🔍 Capturing: ${url}`);
+
+  const session = tap(url, { delay: 2000, network: true, failOn: ['error', 'pageerror'] });
+
+  session.on('console', (message) => {
+    console.log(`  [console.${message.type}] ${message.text}`);
+  });
+
+  session.on('pageerror', (error) => {
+    console.log(`  [pageerror] ${error.message}`);
+  });
+
+  const result = await session;
+
+  console.log('\n📋 Summary:');
+  console.log(`   Console messages: ${result.summary.consoleMessages}`);
+  console.log(`   Page errors: ${result.summary.pageErrors}`);
+  console.log(`   Requests: ${result.summary.network.successful} successful, ${result.summary.network.failed} failed`);
+  console.log(`   Policy: ${result.policy.passed ? 'passed' : 'failed'}`);
+}
+
+main().catch((error) => {
+  console.error(`❌ Demo failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,127 @@
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+
+// Capture artifacts (--artifacts-dir, --artifacts): a full-page screenshot
+// and the serialized DOM when a page error fires and when the capture ends,
+// a Playwright trace of the whole capture, and optionally a video. Each
+// capture writes to its own directory, named after the URL, the engine and
+// the time it started.
+
+export const ARTIFACT_KINDS = ['screenshot', 'dom', 'trace', 'video'];
+
+const DEFAULT_ARTIFACTS = ['screenshot', 'dom', 'trace'];
+
+// Page errors that get a screenshot and DOM snapshot of their own; a page
+// that keeps throwing would otherwise spend the capture taking screenshots
+const MAX_ERROR_SNAPSHOTS = 5;
+
+// Parse a comma-separated artifact list (or an array) into artifact kinds
+export function parseArtifacts(value) {
+  const kinds = [].concat(value ?? DEFAULT_ARTIFACTS).join(',').split(',').map(kind => kind.trim()).filter(Boolean);
+  const unknown = kinds.filter(kind => !ARTIFACT_KINDS.includes(kind));
+  if (unknown.length > 0 || kinds.length === 0) {
+    throw new Error(`Invalid artifacts "${value}". Must be one or more of: ${ARTIFACT_KINDS.join(', ')}.`);
+  }
+  return [...new Set(kinds)];
+}
+
+// Directory name for one capture, e.g. "example.com_pricing-chromium-2024-05-01T10-00-00-000Z"
+function captureDirName(url, browserName, startedAt) {
+  const { host, pathname } = new URL(url);
+  const slug = `${host}${pathname}`.replace(/[^a-zA-Z0-9.-]+/g, '_').replace(/_+$/, '');
+  return `${slug}-${browserName}-${startedAt.toISOString().replace(/[:.]/g, '-')}`;
+}
+
+// Create the capture's artifact directory and return a recorder for it.
+// Artifacts that can't be written are reported to `onWarning` and skipped,
+// so they never fail the capture itself. `artifacts` lists what was written
+// as `{ kind, when, path }`, where `when` is 'pageerror' or 'end'. DOM
+// snapshots go through `redact`; screenshots, traces and videos can't.
+export function createArtifactRecorder(root, kinds, { url, browserName, startedAt, redact }, onWarning) {
+  const base = join(resolve(root), captureDirName(url, browserName, startedAt));
+  let dir = base;
+  // The same URL started in the same millisecond, as in a batch that lists it twice
+  for (let n = 2; existsSync(dir); n++) {
+    dir = `${base}-${n}`;
+  }
+  mkdirSync(dir, { recursive: true });
+
+  const artifacts = [];
+  let errorSnapshots = 0;
+
+  const write = async (kind, when, file, save) => {
+    try {
+      await save(join(dir, file));
+      const artifact = { kind, when, path: join(dir, file) };
+      artifacts.push(artifact);
+      return artifact;
+    } catch (error) {
+      onWarning(new Error(`Could not save ${kind} ${file}: ${error.message.split('\n')[0]}`));
+      return null;
+    }
+  };
+
+  // Screenshot and DOM of a page at one moment
+  const snapshot = async (page, when, name) => {
+    const written = [];
+    if (kinds.includes('screenshot')) {
+      written.push(await write('screenshot', when, `${name}.png`, path => page.screenshot({ path, fullPage: true })));
+    }
+    if (kinds.includes('dom')) {
+      written.push(await write('dom', when, `${name}.html`, async path => writeFileSync(path, redact(await page.content()))));
+    }
+    return written.filter(Boolean);
+  };
+
+  return {
+    dir,
+    artifacts,
+
+    // browser.newContext() options, for recording video
+    contextOptions() {
+      return kinds.includes('video') ? { recordVideo: { dir } } : {};
+    },
+
+    async start(context) {
+      if (kinds.includes('trace')) {
+        await context.tracing.start({ screenshots: true, snapshots: true });
+      }
+    },
+
+    // Snapshot the page a page error was thrown on. Returns the artifacts
+    // written, or null once MAX_ERROR_SNAPSHOTS errors have had one.
+    async snapshotError(page) {
+      if (errorSnapshots >= MAX_ERROR_SNAPSHOTS) {
+        return null;
+      }
+      errorSnapshots++;
+      return snapshot(page, 'pageerror', `pageerror-${errorSnapshots}`);
+    },
+
+    // Snapshot the page as the capture ends and stop the trace. The video is
+    // listed here but only complete once saveVideo() has run.
+    async finish(context, page) {
+      await snapshot(page, 'end', 'end');
+      if (kinds.includes('trace')) {
+        await write('trace', 'end', 'trace.zip', path => context.tracing.stop({ path }));
+      }
+      if (kinds.includes('video') && page.video()) {
+        artifacts.push({ kind: 'video', when: 'end', path: join(dir, 'video.webm') });
+      }
+    },
+
+    // Move the video to video.webm once the context has closed
+    async saveVideo(page) {
+      const video = kinds.includes('video') && page.video();
+      if (!video) {
+        return;
+      }
+      try {
+        await video.saveAs(join(dir, 'video.webm'));
+        await video.delete();
+      } catch (error) {
+        onWarning(new Error(`Could not save video: ${error.message.split('\n')[0]}`));
+      }
+    }
+  };
+}
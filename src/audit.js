@@ -0,0 +1,276 @@
+// Audits (--audit). The security audit checks the response headers of the
+// page and its subresources (HSTS, CSP, X-Content-Type-Options, frame
+// protections, CORS), the flags of cookies the responses set, requests that
+// break out of HTTPS, and Content Security Policy violations the page
+// reports. Each finding is `{ check, severity, message, url }`.
+
+export const AUDIT_TYPES = ['security'];
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+
+const VIOLATION_BINDING = '__browserConsoleTapCspViolation';
+
+// HSTS max-age below this (180 days) is too short to protect repeat visits
+const MIN_HSTS_MAX_AGE = 180 * 24 * 60 * 60;
+
+// Subresources a browser would run or apply, and so must not be sniffed
+const SNIFFABLE_TYPES = ['document', 'script', 'stylesheet'];
+
+// Mixed content that can act on the page rather than just be shown in it
+const ACTIVE_TYPES = ['script', 'stylesheet', 'xhr', 'fetch', 'websocket', 'document', 'eventsource', 'other'];
+
+// Chromium's console message for mixed content it blocked or upgraded
+const MIXED_CONTENT_MESSAGE = /^Mixed Content: .*requested an insecure [\w ]+? '([^']+)'\. (This request has been blocked|This request was automatically upgraded)/;
+
+// Reports every securitypolicyviolation event, enforced or report-only, in
+// the page and its frames
+const violationReporterScript = `(() => {
+  document.addEventListener('securitypolicyviolation', (event) => {
+    const report = window.${VIOLATION_BINDING};
+    if (report) {
+      report({
+        directive: event.effectiveDirective || event.violatedDirective,
+        blockedURI: event.blockedURI,
+        sourceFile: event.sourceFile,
+        lineNumber: event.lineNumber,
+        disposition: event.disposition,
+        documentURI: event.documentURI
+      });
+    }
+  });
+})();`;
+
+// Parse a comma-separated audit list (or an array) into audit types
+export function parseAudits(value) {
+  const audits = [].concat(value ?? []).join(',').split(',').map(audit => audit.trim()).filter(Boolean);
+  const unknown = audits.filter(audit => !AUDIT_TYPES.includes(audit));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid audit "${value}". Must be one or more of: ${AUDIT_TYPES.join(', ')}.`);
+  }
+  return [...new Set(audits)];
+}
+
+// Loopback hosts are a secure context without TLS, and don't get HSTS
+function isLoopback(url) {
+  const { hostname } = new URL(url);
+  return hostname === 'localhost' || hostname.endsWith('.localhost') || hostname === '127.0.0.1' || hostname === '[::1]';
+}
+
+// Parse a Content-Security-Policy value into a Map of directives to sources
+function parseCsp(value) {
+  const directives = new Map();
+  value.split(';').forEach((part) => {
+    const [name, ...sources] = part.trim().split(/\s+/);
+    if (name && !directives.has(name.toLowerCase())) {
+      directives.set(name.toLowerCase(), sources.map(source => source.toLowerCase()));
+    }
+  });
+  return directives;
+}
+
+// Name and lowercase attribute names of a Set-Cookie value
+function parseSetCookie(value) {
+  const [pair, ...attributes] = value.split(';').map(part => part.trim());
+  const flags = new Map(attributes.map((attribute) => {
+    const [name, ...rest] = attribute.split('=');
+    return [name.trim().toLowerCase(), rest.join('=').trim().toLowerCase()];
+  }));
+  return { name: pair.split('=')[0].trim(), flags };
+}
+
+// Checks for the page's own document: transport, HSTS, CSP and frame protections
+function checkDocument(url, headers, add) {
+  const https = url.startsWith('https:');
+  if (!https && !isLoopback(url)) {
+    add({ check: 'insecure-transport', severity: 'high', message: 'Page is served over plain HTTP', url });
+  }
+
+  if (https) {
+    const hsts = headers.get('strict-transport-security');
+    const maxAge = hsts && hsts.match(/max-age\s*=\s*"?(\d+)/i);
+    if (!hsts) {
+      add({ check: 'hsts', severity: 'medium', message: 'No Strict-Transport-Security header', url });
+    } else if (!maxAge || parseInt(maxAge[1]) < MIN_HSTS_MAX_AGE) {
+      add({ check: 'hsts', severity: 'low', message: `Strict-Transport-Security max-age is under 180 days ("${hsts}")`, url });
+    }
+  }
+
+  const csp = headers.get('content-security-policy');
+  const directives = csp ? parseCsp(csp) : new Map();
+  if (!csp) {
+    const reportOnly = headers.has('content-security-policy-report-only');
+    add({
+      check: 'csp',
+      severity: reportOnly ? 'low' : 'medium',
+      message: reportOnly ? 'Content-Security-Policy is only in report-only mode' : 'No Content-Security-Policy header',
+      url
+    });
+  } else {
+    const scriptSources = directives.get('script-src') || directives.get('default-src');
+    if (!scriptSources) {
+      add({ check: 'csp', severity: 'medium', message: 'Content-Security-Policy does not restrict scripts (no script-src or default-src)', url });
+    } else {
+      ['\'unsafe-inline\'', '\'unsafe-eval\''].filter(source => scriptSources.includes(source)).forEach((source) => {
+        // Nonces and hashes make browsers ignore 'unsafe-inline'
+        if (source === '\'unsafe-inline\'' && scriptSources.some(s => s.startsWith('\'nonce-') || s.startsWith('\'sha'))) {
+          return;
+        }
+        add({ check: 'csp', severity: 'low', message: `Content-Security-Policy allows ${source} scripts`, url });
+      });
+    }
+  }
+
+  if (!headers.has('x-frame-options') && !directives.has('frame-ancestors')) {
+    add({ check: 'frame-protection', severity: 'medium', message: 'Page can be framed by any site (no X-Frame-Options or CSP frame-ancestors)', url });
+  }
+}
+
+// Follow a page's responses and CSP violations. Returns `settle()`, which
+// waits for response headers still being read, and `report()`, which
+// returns `{ findings, counts }` with the findings ordered by severity.
+export async function trackSecurity(page) {
+  // One finding per key, keeping the most severe
+  const findings = new Map();
+  const pending = new Set();
+  let pageOrigin = null;
+
+  const add = (finding, key = `${finding.check} ${finding.message} ${finding.url}`) => {
+    const existing = findings.get(key);
+    if (!existing || SEVERITIES.indexOf(finding.severity) < SEVERITIES.indexOf(existing.severity)) {
+      findings.set(key, finding);
+    }
+  };
+
+  const checkResponse = async (response) => {
+    const request = response.request();
+    const url = response.url();
+    const type = request.resourceType();
+    const status = response.status();
+    const isMainDocument = request.isNavigationRequest() && request.frame() === page.mainFrame() && (status < 300 || status >= 400);
+    if (isMainDocument) {
+      // Set before reading headers, so the page's own subresources can tell
+      pageOrigin = new URL(url).origin;
+    }
+
+    const headers = new Map();
+    const cookies = [];
+    for (const { name, value } of await response.headersArray()) {
+      if (name.toLowerCase() === 'set-cookie') {
+        // Some engines join several cookies with newlines
+        cookies.push(...value.split('\n'));
+      } else {
+        headers.set(name.toLowerCase(), value);
+      }
+    }
+
+    if (isMainDocument) {
+      checkDocument(url, headers, add);
+    }
+
+    const { origin } = new URL(url);
+    if (SNIFFABLE_TYPES.includes(type) && status < 300 && (headers.get('x-content-type-options') || '').toLowerCase() !== 'nosniff') {
+      add({ check: 'x-content-type-options', severity: 'low', message: `No "X-Content-Type-Options: nosniff" on ${type} responses`, url }, `nosniff ${type} ${origin}`);
+    }
+
+    const allowOrigin = headers.get('access-control-allow-origin');
+    if (allowOrigin === '*') {
+      if ((headers.get('access-control-allow-credentials') || '').toLowerCase() === 'true') {
+        add({ check: 'cors', severity: 'high', message: 'CORS allows any origin together with credentials', url }, `cors credentials ${origin}`);
+      } else if (origin === pageOrigin) {
+        // Public CDNs allow any origin on purpose; the site's own API shouldn't
+        add({ check: 'cors', severity: 'low', message: 'CORS allows any origin (Access-Control-Allow-Origin: *)', url }, `cors ${origin}`);
+      }
+    }
+
+    const https = url.startsWith('https:');
+    cookies.forEach((value) => {
+      const { name, flags } = parseSetCookie(value);
+      const cookie = (severity, problem) => add({ check: 'cookie', severity, message: `Cookie "${name}" ${problem}`, url },
+        `cookie ${name} ${problem} ${origin}`);
+      const sameSite = flags.get('samesite');
+      if (sameSite === 'none' && !flags.has('secure')) {
+        cookie('high', 'has SameSite=None without Secure');
+      } else if (https && !flags.has('secure')) {
+        cookie('medium', 'is set without Secure');
+      }
+      if (!flags.has('httponly')) {
+        cookie('low', 'is readable from JavaScript (no HttpOnly)');
+      }
+      if (sameSite === undefined) {
+        cookie('low', 'has no SameSite attribute');
+      }
+    });
+  };
+
+  page.on('response', (response) => {
+    const check = checkResponse(response).catch(() => {
+      // The page or its frame went away before the headers could be read
+    }).finally(() => pending.delete(check));
+    pending.add(check);
+  });
+
+  // Requests from an HTTPS document that go out over plain HTTP
+  page.on('request', (request) => {
+    const url = request.url();
+    if (!/^(http|ws):/.test(url) || isLoopback(url)) {
+      return;
+    }
+    let documentUrl;
+    try {
+      documentUrl = request.isNavigationRequest() && request.frame().parentFrame()
+        ? request.frame().parentFrame().url()
+        : request.frame().url();
+    } catch {
+      // Worker requests have no frame
+      return;
+    }
+    if (documentUrl.startsWith('https:') && !(request.isNavigationRequest() && request.frame() === page.mainFrame())) {
+      const type = request.resourceType();
+      const active = ACTIVE_TYPES.includes(type);
+      add({
+        check: 'mixed-content',
+        severity: active ? 'high' : 'medium',
+        message: `HTTPS page loads ${active ? 'active' : 'passive'} content (${type}) over HTTP`,
+        url
+      }, `mixed ${url}`);
+    }
+  });
+
+  // Mixed content the browser stopped or upgraded never shows up as an
+  // insecure request, only as a console message
+  page.on('console', (msg) => {
+    const match = msg.text().match(MIXED_CONTENT_MESSAGE);
+    if (match) {
+      const blocked = match[2].includes('blocked');
+      add({
+        check: 'mixed-content',
+        severity: blocked ? 'medium' : 'low',
+        message: `HTTPS page requests content over HTTP (${blocked ? 'blocked' : 'upgraded to HTTPS'} by the browser)`,
+        url: match[1]
+      }, `mixed ${match[1]}`);
+    }
+  });
+
+  await page.exposeBinding(VIOLATION_BINDING, (source, violation) => {
+    const enforced = violation.disposition === 'enforce';
+    const blocked = violation.blockedURI || 'resource';
+    const where = violation.sourceFile ? ` at ${violation.sourceFile}:${violation.lineNumber}` : '';
+    add({
+      check: 'csp-violation',
+      severity: enforced ? 'medium' : 'low',
+      message: `Content Security Policy ${enforced ? 'blocked' : 'would block (report-only)'} ${blocked} (${violation.directive})${where}`,
+      url: violation.documentURI
+    });
+  });
+  await page.addInitScript(violationReporterScript);
+
+  return {
+    settle: () => Promise.allSettled(pending),
+
+    report() {
+      const sorted = [...findings.values()].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+      const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, sorted.filter(finding => finding.severity === severity).length]));
+      return { findings: sorted, counts };
+    }
+  };
+}
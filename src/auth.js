@@ -0,0 +1,275 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { globToRegExp, rewriteHeaders } from './intercept.js';
+
+// Authentication (--cookies, --storage-state, --http-credentials,
+// --client-cert, --origin-headers, --login-script). Everything is applied to
+// the browser context, so sessions work the way they do for a real user and
+// credentials only go to the origins they are meant for.
+
+// Cookie-editor extensions export sameSite in Chrome's extension API terms
+const SAME_SITE = {
+  strict: 'Strict',
+  lax: 'Lax',
+  none: 'None',
+  no_restriction: 'None'
+};
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Cookie in the shape context.addCookies() takes, from Playwright,
+// storage-state or browser-extension JSON
+function toCookie(cookie, index) {
+  if (!isPlainObject(cookie) || typeof cookie.name !== 'string' || cookie.value === undefined) {
+    throw new Error(`Cookie ${index + 1} must have a name and a value`);
+  }
+  if (!cookie.url && !cookie.domain) {
+    throw new Error(`Cookie "${cookie.name}" needs a domain or a url`);
+  }
+
+  const result = { name: cookie.name, value: String(cookie.value) };
+  if (cookie.url) {
+    result.url = cookie.url;
+  } else {
+    // Host-only cookies in extension exports have no leading dot, the others do
+    result.domain = cookie.hostOnly === false && !cookie.domain.startsWith('.') ? `.${cookie.domain}` : cookie.domain;
+    result.path = cookie.path || '/';
+  }
+
+  const expires = cookie.expires ?? cookie.expirationDate;
+  if (typeof expires === 'number' && expires > 0) {
+    result.expires = expires;
+  }
+  if (cookie.httpOnly) {
+    result.httpOnly = true;
+  }
+  if (cookie.secure) {
+    result.secure = true;
+  }
+  const sameSite = cookie.sameSite && (SAME_SITE[String(cookie.sameSite).toLowerCase()] || null);
+  if (sameSite) {
+    result.sameSite = sameSite;
+  }
+  return result;
+}
+
+// Cookies from a Netscape cookies.txt file (as written by curl, wget and
+// browser extensions): domain, subdomains flag, path, secure, expiry, name
+// and value, separated by tabs. `#HttpOnly_` marks HttpOnly cookies.
+function parseNetscapeCookies(contents) {
+  const cookies = [];
+
+  contents.split('\n').forEach((rawLine, index) => {
+    let line = rawLine.replace(/\r$/, '');
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      line = line.slice('#HttpOnly_'.length);
+      httpOnly = true;
+    }
+    if (!line.trim() || line.startsWith('#')) {
+      return;
+    }
+
+    const fields = line.split('\t');
+    if (fields.length < 7) {
+      throw new Error(`Line ${index + 1} is not a cookies.txt entry (expected 7 tab-separated fields)`);
+    }
+    const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields;
+    cookies.push(toCookie({
+      domain: includeSubdomains === 'TRUE' && !domain.startsWith('.') ? `.${domain}` : domain,
+      path,
+      secure: secure === 'TRUE',
+      expires: parseInt(expires),
+      name,
+      value: value.join('\t'),
+      httpOnly
+    }, cookies.length));
+  });
+
+  return cookies;
+}
+
+// Parse cookies from JSON (an array, or an object with a `cookies` array
+// like a storage state file) or from the Netscape cookies.txt format. An
+// array of cookie objects is validated as is.
+export function parseCookies(contents) {
+  if (Array.isArray(contents)) {
+    return contents.map(toCookie);
+  }
+  const trimmed = contents.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+    const cookies = Array.isArray(parsed) ? parsed : parsed.cookies;
+    if (!Array.isArray(cookies)) {
+      throw new Error('JSON cookies must be an array or an object with a "cookies" array');
+    }
+    return cookies.map(toCookie);
+  }
+  return parseNetscapeCookies(contents);
+}
+
+export function readCookies(path) {
+  return parseCookies(readFileSync(path, 'utf8'));
+}
+
+// Parse "user:pass" (or `{ username, password }`). The password may contain colons.
+export function parseHttpCredentials(value) {
+  if (isPlainObject(value)) {
+    return { username: String(value.username ?? ''), password: String(value.password ?? '') };
+  }
+  const separator = String(value).indexOf(':');
+  if (separator < 1) {
+    throw new Error('Invalid HTTP credentials. Must be USER:PASSWORD.');
+  }
+  return { username: value.slice(0, separator), password: value.slice(separator + 1) };
+}
+
+// Parse "origin,cert.pem,key.pem[,passphrase]" or "origin,cert.pfx[,passphrase]"
+// (or Playwright clientCertificates objects)
+export function parseClientCertificates(value) {
+  return [].concat(value ?? []).map((spec) => {
+    if (isPlainObject(spec)) {
+      return spec;
+    }
+
+    const [origin, first, second, third] = String(spec).split(',').map(part => part.trim());
+    if (!origin || !first) {
+      throw new Error(`Invalid client certificate "${spec}". Must be ORIGIN,CERT,KEY[,PASSPHRASE] or ORIGIN,PFX[,PASSPHRASE].`);
+    }
+    if (/\.(pfx|p12)$/i.test(first)) {
+      return { origin, pfxPath: resolve(first), ...(second ? { passphrase: second } : {}) };
+    }
+    if (!second) {
+      throw new Error(`Client certificate "${spec}" needs a key file after the certificate.`);
+    }
+    return { origin, certPath: resolve(first), keyPath: resolve(second), ...(third ? { passphrase: third } : {}) };
+  });
+}
+
+// Validate per-origin headers: an object mapping origins (globs like
+// `https://*.example.com` allowed) to headers sent only to them
+export function parseOriginHeaders(value) {
+  if (!isPlainObject(value)) {
+    throw new Error('Origin headers must be an object mapping origins to headers');
+  }
+
+  return Object.entries(value).map(([origin, headers]) => {
+    if (!isPlainObject(headers) || Object.values(headers).some(header => typeof header !== 'string')) {
+      throw new Error(`Headers for "${origin}" must be an object of header names to strings`);
+    }
+    return { origin, pattern: globToRegExp(origin.replace(/\/$/, '')), headers };
+  });
+}
+
+// browser.newContext() options for HTTP credentials and client certificates
+export function toAuthContextOptions(options) {
+  const contextOptions = {};
+  if (options.httpCredentials) {
+    contextOptions.httpCredentials = options.httpCredentials;
+  }
+  if (options.clientCertificates.length > 0) {
+    contextOptions.clientCertificates = options.clientCertificates;
+  }
+  return contextOptions;
+}
+
+// Run the login script in a fresh context and return the storage state it
+// leaves behind. The script's default export gets `{ page, context, url }`.
+async function runLoginScript(browser, options, contextOptions, url) {
+  const module = await import(pathToFileURL(resolve(options.loginScript)).href);
+  if (typeof module.default !== 'function') {
+    throw new Error(`Login script "${options.loginScript}" must export a default function`);
+  }
+
+  const context = await browser.newContext(contextOptions);
+  try {
+    const page = await context.newPage();
+    await module.default({ page, context, url });
+    return await context.storageState(options.storageState ? { path: options.storageState } : {});
+  } finally {
+    await context.close();
+  }
+}
+
+// Storage state for the capture contexts. A saved --storage-state file is
+// used as is; without one the login script (if any) runs and its session is
+// saved there for later runs. Returns `{ state, loggedIn }`.
+export async function loadSession(browser, options, contextOptions, url) {
+  if (options.storageState && existsSync(options.storageState)) {
+    return { state: options.storageState, loggedIn: false };
+  }
+  if (options.loginScript) {
+    try {
+      return { state: await runLoginScript(browser, options, contextOptions, url), loggedIn: true };
+    } catch (error) {
+      throw new Error(`Login script failed: ${error.message.split('\n')[0]}`);
+    }
+  }
+  return { state: undefined, loggedIn: false };
+}
+
+// Merge the storage states of captures that shared a starting state, in
+// the order they finished: a cookie or storage item a later capture set
+// replaces the same one from an earlier capture
+export function mergeStorageStates(states) {
+  const cookies = new Map();
+  const origins = new Map();
+  for (const state of states) {
+    for (const cookie of state.cookies) {
+      cookies.set(`${cookie.name}\n${cookie.domain}\n${cookie.path}`, cookie);
+    }
+    for (const { origin, localStorage } of state.origins) {
+      const items = origins.get(origin) || new Map();
+      localStorage.forEach(item => items.set(item.name, item));
+      origins.set(origin, items);
+    }
+  }
+  return {
+    cookies: [...cookies.values()],
+    origins: [...origins].map(([origin, items]) => ({ origin, localStorage: [...items.values()] }))
+  };
+}
+
+// Write a storage state file the way Playwright does
+export function saveStorageState(path, state) {
+  writeFileSync(path, JSON.stringify(state, undefined, 2));
+}
+
+// Set up a capture context: explicit cookies on top of the storage state,
+// and per-origin headers through a context route (page routes, such as
+// --rewrite, run first and fall back to it)
+export async function applyAuth(context, options) {
+  if (options.cookies.length > 0) {
+    await context.addCookies(options.cookies);
+  }
+
+  if (options.originHeaders.length > 0) {
+    await context.route('**/*', async (route) => {
+      const request = route.request();
+      const { origin } = new URL(request.url());
+      const scoped = options.originHeaders.filter(rule => rule.pattern.test(origin));
+      if (scoped.length === 0) {
+        await route.fallback();
+        return;
+      }
+      const headers = scoped.reduce((merged, rule) => rewriteHeaders(merged, rule.headers), request.headers());
+      await route.fallback({ headers });
+    });
+  }
+}
+
+// Summary for reports, without any secrets
+export function describeAuth(options, loggedIn) {
+  return {
+    cookies: options.cookies.length,
+    storageState: options.storageState,
+    httpCredentials: options.httpCredentials ? options.httpCredentials.username : null,
+    clientCertificates: options.clientCertificates.map(cert => cert.origin),
+    originHeaders: options.originHeaders.map(rule => rule.origin),
+    loginScript: options.loginScript,
+    loggedIn
+  };
+}
@@ -0,0 +1,210 @@
+import { readFileSync, writeFileSync } from 'fs';
+
+// Baselines (--save-baseline / --compare-baseline). A baseline keeps the
+// console errors and warnings, page errors and requests of a run under
+// normalized keys, so a later run can be compared against it without ids,
+// counters and cache-busting hashes getting in the way.
+
+// Exit code when a comparison finds regressions, after the --fail-on codes
+export const BASELINE_EXIT_CODE = 16;
+
+// A request must also be at least this much slower to count as a slowdown
+const MIN_SLOWDOWN_MS = 100;
+
+const BASELINE_TYPES = ['error', 'warning'];
+
+const UUID = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+// Hex runs with both digits and letters, as in content hashes and object ids
+const HEX_HASH = /\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{6,}\b/gi;
+const NUMBER = /\d+(\.\d+)?/g;
+
+// Replace ids, hashes and numbers in a piece of text with placeholders
+function normalizeTokens(text) {
+  return text.replace(UUID, '<id>').replace(HEX_HASH, '<hash>').replace(NUMBER, '<n>');
+}
+
+// URL pattern: ids, hashes and numbers in the path become placeholders,
+// query values become `*` and the fragment is dropped
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname.split('/').map(normalizeTokens).join('/');
+    const query = [...parsed.searchParams.keys()].map(name => `${name}=*`).join('&');
+    return `${parsed.origin}${path}${query ? `?${query}` : ''}`;
+  } catch {
+    return normalizeTokens(url);
+  }
+}
+
+// Message text with URLs, ids, hashes and numbers normalized
+export function normalizeText(text) {
+  // Splitting on a capturing group keeps the URLs at the odd indexes
+  return text.split(/(https?:\/\/[^\s'"()<>]+)/)
+    .map((part, index) => (index % 2 === 1 ? normalizeUrl(part) : normalizeTokens(part)))
+    .join('');
+}
+
+// Whether a request failed or got an HTTP error status
+export function isFailing(req) {
+  return Boolean(req.failed || (req.response && req.response.status >= 400));
+}
+
+// Console errors, page errors and failed requests of a tap() result, as a
+// Map of normalized keys to `{ kind, text }`
+export function collectIssues(result) {
+  const issues = new Map();
+  const add = (key, kind, text) => issues.set(key, { kind, text });
+
+  result.console.filter(msg => msg.type === 'error').forEach((msg) => {
+    add(`console ${normalizeText(msg.text)}`, 'console error', msg.text);
+  });
+  result.pageErrors.forEach((error) => {
+    const text = `${error.name}: ${error.message}`;
+    add(`pageerror ${normalizeText(text)}`, 'page error', text);
+  });
+  (result.network || []).filter(req => !req.isWebSocket && isFailing(req)).forEach((req) => {
+    add(`request ${req.method} ${normalizeUrl(req.url)}`, 'failed request', `${req.method} ${req.url}`);
+  });
+  return issues;
+}
+
+// Group items by key, keeping the first item and how many there were
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    const group = groups.get(key) || { key, items: [] };
+    group.items.push(item);
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+}
+
+// Engine a result was captured in. Baselines from before --browser are Chromium's.
+function browserOf(page) {
+  return (page.meta ? page.meta.browser && page.meta.browser.name : page.browser) || 'chromium';
+}
+
+// Baseline entries for one tap() result
+function toBaselinePage(result) {
+  const messages = result.console.filter(msg => BASELINE_TYPES.includes(msg.type));
+  const requests = (result.network || []).filter(req => !req.isWebSocket);
+
+  return {
+    url: result.meta.url,
+    browser: browserOf(result),
+    console: groupBy(messages, msg => `${msg.type} ${normalizeText(msg.text)}`).map(({ key, items }) => ({
+      key,
+      type: items[0].type,
+      text: items[0].text,
+      count: items.reduce((total, msg) => total + (msg.count || 1), 0)
+    })),
+    pageErrors: groupBy(result.pageErrors, error => normalizeText(`${error.name}: ${error.message}`)).map(({ key, items }) => ({
+      key,
+      text: `${items[0].name}: ${items[0].message}`,
+      count: items.length
+    })),
+    requests: groupBy(requests, req => `${req.method} ${normalizeUrl(req.url)}`).map(({ key, items }) => {
+      const succeeded = items.filter(req => !isFailing(req) && req.response);
+      const failing = items.filter(isFailing);
+      return {
+        key,
+        url: items[0].url,
+        count: items.length,
+        failures: failing.length,
+        failure: failing.length > 0 ? describeFailure(failing[0]) : null,
+        durationMs: succeeded.length > 0
+          ? Math.round(succeeded.reduce((total, req) => total + req.response.duration, 0) / succeeded.length)
+          : null
+      };
+    })
+  };
+}
+
+function describeFailure(req) {
+  return req.failed ? req.failure : `HTTP ${req.response.status}`;
+}
+
+// Build a baseline from one or more tap() results
+export function createBaseline(results) {
+  const pages = [].concat(results);
+  const { meta } = pages[0];
+
+  return {
+    tool: meta.tool,
+    version: meta.version,
+    createdAt: new Date().toISOString(),
+    pages: pages.map(toBaselinePage)
+  };
+}
+
+export function writeBaseline(path, results) {
+  writeFileSync(path, JSON.stringify(createBaseline(results), null, 2));
+}
+
+export function readBaseline(path) {
+  const baseline = JSON.parse(readFileSync(path, 'utf8'));
+  if (!baseline || !Array.isArray(baseline.pages)) {
+    throw new Error('Not a browser-console-tap baseline');
+  }
+  return baseline;
+}
+
+// Compare a tap() result with a baseline. Regressions are console errors,
+// warnings and page errors the baseline does not have, requests that fail
+// now but did not before, and requests that got more than
+// `slowdownThreshold` percent slower. Issues that went away are listed
+// under `resolved` and do not affect the outcome.
+export function compareBaseline(baseline, result, slowdownThreshold) {
+  // Each engine is compared with its own capture of the page
+  const base = baseline.pages.find(page => page.url === result.meta.url && browserOf(page) === browserOf(result));
+  if (!base) {
+    return { baselineCreatedAt: baseline.createdAt, missing: true, passed: true, regressions: 0, exitCode: 0 };
+  }
+
+  const current = toBaselinePage(result);
+  const lookup = entries => new Map(entries.map(entry => [entry.key, entry]));
+  const baseConsole = lookup(base.console);
+  const basePageErrors = lookup(base.pageErrors);
+  const baseRequests = lookup(base.requests);
+  const currentConsole = lookup(current.console);
+  const currentPageErrors = lookup(current.pageErrors);
+  const currentRequests = lookup(current.requests);
+
+  const slowerRequests = current.requests
+    .filter((req) => {
+      const before = baseRequests.get(req.key);
+      if (!before || before.durationMs === null || req.durationMs === null) {
+        return false;
+      }
+      return req.durationMs - before.durationMs >= MIN_SLOWDOWN_MS &&
+        req.durationMs > before.durationMs * (1 + slowdownThreshold / 100);
+    })
+    .map(req => ({ key: req.key, url: req.url, baselineMs: baseRequests.get(req.key).durationMs, currentMs: req.durationMs }));
+
+  const comparison = {
+    baselineCreatedAt: baseline.createdAt,
+    missing: false,
+    newConsole: current.console.filter(msg => !baseConsole.has(msg.key)),
+    newPageErrors: current.pageErrors.filter(error => !basePageErrors.has(error.key)),
+    newFailedRequests: current.requests.filter((req) => {
+      const before = baseRequests.get(req.key);
+      return req.failures > 0 && (!before || before.failures === 0);
+    }),
+    slowerRequests,
+    resolved: {
+      console: base.console.filter(msg => !currentConsole.has(msg.key)),
+      pageErrors: base.pageErrors.filter(error => !currentPageErrors.has(error.key)),
+      failedRequests: base.requests.filter((req) => {
+        const now = currentRequests.get(req.key);
+        return req.failures > 0 && (!now || now.failures === 0);
+      })
+    }
+  };
+
+  comparison.regressions = comparison.newConsole.length + comparison.newPageErrors.length +
+    comparison.newFailedRequests.length + comparison.slowerRequests.length;
+  comparison.passed = comparison.regressions === 0;
+  comparison.exitCode = comparison.passed ? 0 : BASELINE_EXIT_CODE;
+  return comparison;
+}
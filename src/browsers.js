@@ -0,0 +1,107 @@
+import { chromium, firefox, webkit } from 'playwright';
+import { collectIssues, isFailing } from './baseline.js';
+import { countMessages } from './filter.js';
+
+// Browser engines (--browser). Chromium is the default and the only engine
+// with the Chrome DevTools protocol, which some features are built on; in
+// Firefox and WebKit those features are left out and reported as unsupported.
+
+const ENGINES = { chromium, firefox, webkit };
+
+export const BROWSERS = Object.keys(ENGINES);
+
+// Parse "chromium", "all" or a comma-separated list into engine names
+export function parseBrowsers(value) {
+  const names = [].concat(value ?? 'chromium').join(',').split(',').map(name => name.trim()).filter(Boolean);
+  if (names.includes('all')) {
+    return [...BROWSERS];
+  }
+  const unknown = names.filter(name => !ENGINES[name]);
+  if (unknown.length > 0 || names.length === 0) {
+    throw new Error(`Invalid browser "${value}". Must be one of: ${BROWSERS.join(', ')}, all.`);
+  }
+  return [...new Set(names)];
+}
+
+// Whether an engine speaks the Chrome DevTools protocol
+export function supportsCdp(name) {
+  return name === 'chromium';
+}
+
+export async function launchBrowser(name, options) {
+  try {
+    return await ENGINES[name].launch({ headless: options.headless });
+  } catch (error) {
+    throw new Error(`Could not launch ${name}: ${error.message.split('\n')[0]}. ` +
+      `If it is not installed, run "npx playwright install ${name}".`);
+  }
+}
+
+// Features the options ask for that an engine can't provide
+export function unsupportedFeatures(name, options, contextOptions) {
+  const features = [];
+  if (!supportsCdp(name)) {
+    features.push('console argument previews and console stack traces');
+    if (options.network) {
+      features.push('WebSocket handshake and frame capture');
+    }
+    if (options.throttle && !options.throttle.offline) {
+      features.push('network throttling');
+    }
+    if (options.cpuThrottle) {
+      features.push('CPU throttling');
+    }
+    if (options.targets.includes('shared-worker') || options.targets.includes('service-worker')) {
+      features.push('shared and service worker console capture');
+    }
+    if (options.perf) {
+      features.push('long task, memory and layout shift metrics');
+    }
+  }
+  if (name === 'webkit' && options.perf) {
+    features.push('Largest Contentful Paint');
+  }
+  if (name === 'firefox' && contextOptions.isMobile) {
+    features.push('mobile viewport emulation');
+  }
+  return features;
+}
+
+// Compare the captures of each URL across engines. Returns per-engine totals
+// and, per URL, the issues that only some engines ran into. Engines that
+// could not capture a URL are left out of its comparison.
+export function compareBrowsers(results) {
+  const engines = {};
+  for (const result of results) {
+    const name = result.meta.browser.name;
+    const totals = engines[name] || { consoleErrors: 0, pageErrors: 0, failedRequests: 0, errored: 0 };
+    if (result.error) {
+      totals.errored++;
+    } else {
+      totals.consoleErrors += countMessages(result.console, 'error');
+      totals.pageErrors += result.pageErrors.length;
+      totals.failedRequests += (result.network || []).filter(isFailing).length;
+    }
+    engines[name] = totals;
+  }
+
+  const urls = [...new Set(results.map(result => result.meta.url))];
+  const pages = urls.map((url) => {
+    const captured = results.filter(result => result.meta.url === url && !result.error);
+    const seen = new Map();
+    for (const result of captured) {
+      for (const [key, issue] of collectIssues(result)) {
+        const entry = seen.get(key) || { ...issue, browsers: [] };
+        entry.browsers.push(result.meta.browser.name);
+        seen.set(key, entry);
+      }
+    }
+    return {
+      url,
+      browsers: captured.map(result => result.meta.browser.name),
+      differences: [...seen.values()].filter(issue => issue.browsers.length < captured.length)
+    };
+  });
+
+  return { engines, pages };
+}
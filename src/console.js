@@ -0,0 +1,109 @@
+import { STACK_TYPES, fromCallFrames } from './stack.js';
+import { renderConsoleText, serializeArgument } from './preview.js';
+
+// Console calls read from the DevTools protocol. Playwright's console event
+// only offers the message text and JSHandles, so each call's
+// Runtime.consoleAPICalled event is matched to its message by type and call
+// location, and the message is rebuilt from the protocol's RemoteObjects.
+
+// How long a console message waits for its protocol event
+const CALL_WAIT_MS = 100;
+
+// Collect Runtime.consoleAPICalled events on a page. Returns the CDP session
+// and `take(type, location)`, which resolves with the matching event or null.
+export async function trackConsoleCalls(page) {
+  const calls = new Map();
+  const waiting = new Map();
+  const keyOf = (type, location) => `${type} ${location.url}:${location.line}:${location.column}`;
+
+  const cdp = await page.context().newCDPSession(page);
+  cdp.on('Runtime.consoleAPICalled', (call) => {
+    if (!call.stackTrace || call.stackTrace.callFrames.length === 0) {
+      return;
+    }
+
+    const key = keyOf(call.type, fromCallFrames(call.stackTrace.callFrames.slice(0, 1))[0]);
+    const waiter = (waiting.get(key) || []).shift();
+    if (waiter) {
+      waiter(call);
+    } else {
+      calls.set(key, [...(calls.get(key) || []), call]);
+    }
+  });
+  await cdp.send('Runtime.enable');
+
+  return {
+    cdp,
+
+    take(type, location) {
+      if (!location) {
+        return Promise.resolve(null);
+      }
+
+      const key = keyOf(type, location);
+      const queued = calls.get(key);
+      if (queued && queued.length > 0) {
+        return Promise.resolve(queued.shift());
+      }
+
+      // The protocol event may still be on its way; messages the browser
+      // logs itself (like failed resource loads) never get one
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          const list = waiting.get(key) || [];
+          list.splice(list.indexOf(done), 1);
+          resolve(null);
+        }, CALL_WAIT_MS);
+        const done = (call) => {
+          clearTimeout(timer);
+          resolve(call);
+        };
+        waiting.set(key, [...(waiting.get(key) || []), done]);
+      });
+    }
+  };
+}
+
+// Text, arguments and stack of a console call from its protocol event
+export async function describeConsoleCall(cdp, call, argDepth) {
+  let text = await renderConsoleText(cdp, call.args);
+  if (call.type === 'assert') {
+    text = text ? `Assertion failed: ${text}` : 'Assertion failed: console.assert';
+  }
+
+  return {
+    text,
+    args: await Promise.all(call.args.map(arg => serializeArgument(cdp, arg, argDepth))),
+    frames: STACK_TYPES.includes(call.type) ? fromCallFrames(call.stackTrace.callFrames) : null
+  };
+}
+
+// Text and arguments of a message without a protocol event, from Playwright
+export async function describeConsoleMessage(msg) {
+  // Get the console message text directly
+  const text = msg.text();
+
+  // Try to get additional arguments
+  let args = [];
+  try {
+    args = await Promise.all(
+      msg.args().map(async (arg) => {
+        try {
+          return await arg.jsonValue();
+        } catch {
+          // If JSON parsing fails, try to get the string representation
+          try {
+            return await arg.textContent();
+          } catch {
+            return arg.toString();
+          }
+        }
+      })
+    );
+  } catch (argError) {
+    // If we can't get args, just use the message text
+    args = [text];
+  }
+
+  return { text, args, frames: null };
+}
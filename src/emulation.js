@@ -0,0 +1,131 @@
+import { devices } from 'playwright';
+
+// Device and environment emulation (--device, --viewport, --locale,
+// --timezone, --geolocation, --color-scheme, --reduced-motion,
+// --user-agent), all applied as browser context options so the page sees
+// them through navigator, matchMedia and Intl as well as in requests.
+
+export const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+export const REDUCED_MOTION = ['reduce', 'no-preference'];
+
+// Playwright device descriptor names, such as "iPhone 13" or "Pixel 7"
+export const DEVICES = Object.keys(devices);
+
+// Parse "WxH" (or a `{ width, height }` object) into `{ width, height }`
+export function parseViewport(value) {
+  const text = typeof value === 'object' ? `${value.width}x${value.height}` : String(value);
+  const match = text.match(/^(\d+)x(\d+)$/);
+  if (!match || parseInt(match[1]) < 1 || parseInt(match[2]) < 1) {
+    throw new Error(`Invalid viewport "${text}". Must be WIDTHxHEIGHT, e.g. 1280x720.`);
+  }
+  return { width: parseInt(match[1]), height: parseInt(match[2]) };
+}
+
+// Parse "lat,lng" (or a `{ latitude, longitude }` object) into `{ latitude, longitude }`
+export function parseGeolocation(value) {
+  const text = typeof value === 'object' ? `${value.latitude},${value.longitude}` : String(value);
+  const [latitude, longitude, ...rest] = text.split(',').map(part => Number(part.trim()));
+  if (rest.length > 0 || isNaN(latitude) || isNaN(longitude) ||
+    Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new Error(`Invalid geolocation "${text}". Must be LATITUDE,LONGITUDE, e.g. 52.52,13.40.`);
+  }
+  return { latitude, longitude };
+}
+
+function isTimezone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Validate the emulation options of tap() into `{ device, viewport, ... }`
+export function parseEmulation(options) {
+  const device = options.device ?? null;
+  if (device !== null && !devices[device]) {
+    const suggestions = DEVICES.filter(name => name.toLowerCase().includes(device.toLowerCase())).slice(0, 5);
+    const hint = suggestions.length > 0 ? ` Did you mean: ${suggestions.join(', ')}?` : '';
+    throw new Error(`Unknown device "${device}".${hint}`);
+  }
+
+  const timezone = options.timezone ?? null;
+  if (timezone !== null && !isTimezone(timezone)) {
+    throw new Error(`Invalid timezone "${timezone}". Must be an IANA time zone, e.g. Europe/Berlin.`);
+  }
+
+  const colorScheme = options.colorScheme ?? null;
+  if (colorScheme !== null && !COLOR_SCHEMES.includes(colorScheme)) {
+    throw new Error(`Invalid color scheme "${colorScheme}". Must be one of: ${COLOR_SCHEMES.join(', ')}.`);
+  }
+
+  let reducedMotion = options.reducedMotion || null;
+  if (reducedMotion === true) {
+    reducedMotion = 'reduce';
+  }
+  if (reducedMotion !== null && !REDUCED_MOTION.includes(reducedMotion)) {
+    throw new Error(`Invalid reduced motion "${reducedMotion}". Must be one of: ${REDUCED_MOTION.join(', ')}.`);
+  }
+
+  return {
+    device,
+    viewport: options.viewport == null ? null : parseViewport(options.viewport),
+    locale: options.locale ?? null,
+    timezone,
+    geolocation: options.geolocation == null ? null : parseGeolocation(options.geolocation),
+    colorScheme,
+    reducedMotion,
+    userAgent: options.userAgent ?? null
+  };
+}
+
+// browser.newContext() options for an emulation. Explicit options win over
+// the device descriptor.
+export function toContextOptions(emulation) {
+  const contextOptions = {};
+
+  if (emulation.device) {
+    // Captures run in the --browser engine, whatever browser the device ships with
+    Object.assign(contextOptions, devices[emulation.device]);
+    delete contextOptions.defaultBrowserType;
+  }
+  if (emulation.viewport) {
+    contextOptions.viewport = emulation.viewport;
+  }
+  if (emulation.locale) {
+    contextOptions.locale = emulation.locale;
+  }
+  if (emulation.timezone) {
+    contextOptions.timezoneId = emulation.timezone;
+  }
+  if (emulation.geolocation) {
+    contextOptions.geolocation = emulation.geolocation;
+    contextOptions.permissions = ['geolocation'];
+  }
+  if (emulation.colorScheme) {
+    contextOptions.colorScheme = emulation.colorScheme;
+  }
+  if (emulation.reducedMotion) {
+    contextOptions.reducedMotion = emulation.reducedMotion;
+  }
+  if (emulation.userAgent) {
+    contextOptions.userAgent = emulation.userAgent;
+  }
+
+  return contextOptions;
+}
+
+// One-line description for banners, or '' when nothing is emulated
+export function describeEmulation(emulation) {
+  const parts = [
+    emulation.device,
+    emulation.viewport && `${emulation.viewport.width}x${emulation.viewport.height}`,
+    emulation.locale,
+    emulation.timezone,
+    emulation.geolocation && `${emulation.geolocation.latitude},${emulation.geolocation.longitude}`,
+    emulation.colorScheme && `${emulation.colorScheme} color scheme`,
+    emulation.reducedMotion === 'reduce' && 'reduced motion'
+  ];
+  return parts.filter(Boolean).join(', ');
+}
@@ -0,0 +1,112 @@
+// Console message filtering (--levels, --include, --exclude, --ignore-file)
+// and deduplication (--dedupe).
+
+export const CONSOLE_LEVELS = [
+  'log',
+  'debug',
+  'info',
+  'error',
+  'warning',
+  'dir',
+  'dirxml',
+  'table',
+  'trace',
+  'clear',
+  'startGroup',
+  'startGroupCollapsed',
+  'endGroup',
+  'assert',
+  'profile',
+  'profileEnd',
+  'count',
+  'timeEnd'
+];
+
+// Method names people type that differ from the message type
+const LEVEL_ALIASES = {
+  warn: 'warning',
+  group: 'startGroup',
+  groupCollapsed: 'startGroupCollapsed',
+  groupEnd: 'endGroup'
+};
+
+// Parse a comma-separated level list (or an array) into message types
+export function parseLevels(value) {
+  const levels = [].concat(value).join(',').split(',').map(level => level.trim()).filter(Boolean)
+    .map(level => LEVEL_ALIASES[level] || level);
+  const unknown = levels.filter(level => !CONSOLE_LEVELS.includes(level));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown level(s): ${unknown.join(', ')}`);
+  }
+  return [...new Set(levels)];
+}
+
+// Turn strings into regular expressions, naming the option in the error
+export function parsePatterns(value, name) {
+  return [].concat(value ?? []).map((pattern) => {
+    if (pattern instanceof RegExp) {
+      // A global or sticky pattern keeps its lastIndex between test() calls
+      return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+    }
+    try {
+      return new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid ${name} pattern "${pattern}". ${error.message}.`);
+    }
+  });
+}
+
+// Read an ignore file: one pattern per line, blank lines and # comments ignored
+export function readIgnorePatterns(contents) {
+  return contents.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+// Whether a console message passes the target, level and pattern filters.
+// Patterns are tested against the message text and the URL it was logged from.
+export function createMessageFilter({ targets, levels, include, exclude }) {
+  const matches = (pattern, message) =>
+    pattern.test(message.text) || Boolean(message.location && pattern.test(message.location.url));
+
+  return (message) => {
+    if (message.target && !targets.includes(message.target.type)) {
+      return false;
+    }
+    if (levels.length > 0 && !levels.includes(message.type)) {
+      return false;
+    }
+    if (include.length > 0 && !include.some(pattern => matches(pattern, message))) {
+      return false;
+    }
+    return !exclude.some(pattern => matches(pattern, message));
+  };
+}
+
+// Collapse repeats of the same message (type, text and location) into the
+// first one, which gets `count`, `firstTimestamp` and `lastTimestamp`.
+// Returns whether a message is new.
+export function createDeduper() {
+  const seen = new Map();
+
+  return (message) => {
+    const location = message.location ? `${message.location.url}:${message.location.line}:${message.location.column}` : '';
+    const key = `${message.type}\n${message.text}\n${location}`;
+    const first = seen.get(key);
+
+    if (first) {
+      first.count++;
+      first.lastTimestamp = message.timestamp;
+      return false;
+    }
+
+    message.count = 1;
+    message.firstTimestamp = message.timestamp;
+    message.lastTimestamp = message.timestamp;
+    seen.set(key, message);
+    return true;
+  };
+}
+
+// Number of times messages of a type were logged, counting collapsed repeats
+export function countMessages(messages, type) {
+  return messages.filter(msg => msg.type === type).reduce((total, msg) => total + (msg.count || 1), 0);
+}
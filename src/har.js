@@ -0,0 +1,196 @@
+import { writeFileSync } from 'fs';
+
+const TEXT_MIME_TYPE = /^text\/|[/+](json|javascript|ecmascript|xml|x-www-form-urlencoded)\b|^image\/svg/;
+
+// Read a response body for the HAR, keeping at most maxSize bytes. Text
+// bodies are stored as UTF-8, anything else as base64.
+export async function readResponseBody(response, maxSize) {
+  const buffer = await response.body();
+  const mimeType = response.headers()['content-type'] || '';
+  const truncated = buffer.length > maxSize;
+  const kept = truncated ? buffer.subarray(0, maxSize) : buffer;
+  const isText = TEXT_MIME_TYPE.test(mimeType);
+
+  return {
+    size: buffer.length,
+    text: kept.toString(isText ? 'utf8' : 'base64'),
+    encoding: isText ? null : 'base64',
+    truncated
+  };
+}
+
+function toHarHeaders(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function toQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function findHeader(headers = {}, name) {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+function toHarContent(response) {
+  const mimeType = findHeader(response.headers, 'content-type') || 'x-unknown';
+  const contentLength = parseInt(findHeader(response.headers, 'content-length'));
+  const content = {
+    size: response.body ? response.body.size : (isNaN(contentLength) ? 0 : contentLength),
+    mimeType
+  };
+
+  if (response.body) {
+    content.text = response.body.text;
+    if (response.body.encoding) {
+      content.encoding = response.body.encoding;
+    }
+    if (response.body.truncated) {
+      content.comment = `Truncated to ${Buffer.byteLength(response.body.text, response.body.encoding || 'utf8')} of ${response.body.size} bytes`;
+    }
+  }
+
+  return content;
+}
+
+// HAR timings from the request's browser timing phases. Phases that did not
+// happen are -1; without any timing the whole duration counts as waiting.
+function toHarTimings(timing, time) {
+  if (!timing || timing.ttfb === null) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: time, receive: 0 };
+  }
+
+  const orMissing = value => (value === null ? -1 : value);
+  const timings = {
+    blocked: -1,
+    dns: orMissing(timing.dns),
+    connect: orMissing(timing.connect),
+    ssl: orMissing(timing.tls),
+    send: 0,
+    wait: timing.ttfb,
+    receive: timing.download === null ? 0 : timing.download
+  };
+
+  // Queueing and other time before the request went out counts as blocked
+  if (timing.total !== null) {
+    const accounted = Math.max(timings.dns, 0) + Math.max(timings.connect, 0) + timings.wait + timings.receive;
+    timings.blocked = Math.max(Math.round((timing.total - accounted) * 10) / 10, 0);
+  }
+
+  return timings;
+}
+
+function toHarEntry(req, pageref) {
+  const { response } = req;
+  const time = req.timing && req.timing.total !== null ? req.timing.total : (response ? response.duration : 0);
+  const entry = {
+    pageref,
+    startedDateTime: req.timestamp,
+    time,
+    request: {
+      method: req.method,
+      url: req.url,
+      httpVersion: '',
+      cookies: [],
+      headers: toHarHeaders(req.headers),
+      queryString: toQueryString(req.url),
+      headersSize: -1,
+      bodySize: req.postData ? Buffer.byteLength(req.postData) : 0
+    },
+    response: {
+      status: response && typeof response.status === 'number' ? response.status : 0,
+      statusText: (response && response.statusText) || '',
+      httpVersion: '',
+      cookies: [],
+      headers: toHarHeaders(response && response.headers),
+      content: response ? toHarContent(response) : { size: 0, mimeType: 'x-unknown' },
+      redirectURL: (response && findHeader(response.headers, 'location')) || '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: toHarTimings(req.timing, time),
+    _resourceType: req.resourceType
+  };
+
+  if (req.postData) {
+    entry.request.postData = {
+      mimeType: findHeader(req.headers, 'content-type') || '',
+      text: req.postData
+    };
+  }
+
+  if (req.failed) {
+    entry.response._error = req.failure;
+    entry.comment = `Request failed: ${req.failure}`;
+  } else if (!response) {
+    entry.comment = 'No response received before the capture ended';
+  }
+
+  return entry;
+}
+
+function toHarPage(result, id) {
+  const { meta } = result;
+  const errors = result.console.filter(msg => msg.type === 'error').length;
+
+  return {
+    startedDateTime: meta.startedAt,
+    id,
+    title: meta.url,
+    pageTimings: {
+      onContentLoad: -1,
+      onLoad: -1
+    },
+    comment: `${result.console.length} console messages (${errors} errors), ${result.pageErrors.length} page errors`,
+    _console: result.console,
+    _pageErrors: result.pageErrors
+  };
+}
+
+/**
+ * Convert one or more tap() results into a HAR 1.2 log. Each result becomes
+ * a page; its console messages and page errors are kept in the custom
+ * `_console` and `_pageErrors` page fields. WebSocket connections are left out.
+ *
+ * @param {object|object[]} results - tap() result(s) captured with network tracking
+ * @returns {object} HAR document
+ */
+export function toHar(results) {
+  const pages = [];
+  const entries = [];
+
+  [].concat(results).forEach((result, index) => {
+    const id = `page_${index + 1}`;
+    pages.push(toHarPage(result, id));
+    (result.network || [])
+      .filter(req => !req.isWebSocket)
+      .forEach(req => entries.push(toHarEntry(req, id)));
+  });
+
+  const { meta } = [].concat(results)[0];
+  // HAR requires a version string; an engine that failed to launch has none
+  const browser = [].concat(results).map(result => result.meta.browser).find(info => info && typeof info.version === 'string');
+
+  const log = {
+    version: '1.2',
+    creator: { name: meta.tool, version: meta.version },
+    pages,
+    entries
+  };
+
+  if (browser) {
+    log.browser = browser;
+  }
+
+  return { log };
+}
+
+// Write results as a HAR file
+export function writeHar(path, results) {
+  writeFileSync(path, JSON.stringify(toHar(results), null, 2));
+}
@@ -1,54 +1,128 @@
 #!/usr/bin/env node
 
-import { chromium } from 'playwright';
+import { readFileSync } from 'fs';
 import { Command } from 'commander';
 import chalk from 'chalk';
+import { tap, tapMany, watch, VERSION } from './tap.js';
+import { writeHar } from './har.js';
+import { FORMATS, createReporter, createBatchReporter, createWatchReporter, attachReporter } from './reporters.js';
+import { FAIL_RULES, parseFailOn } from './policy.js';
+import { WAIT_UNTIL } from './wait.js';
+import { STEP_ACTIONS } from './steps.js';
+import { readIgnorePatterns } from './filter.js';
+import { readBaseline, writeBaseline } from './baseline.js';
+import { readMockRules } from './intercept.js';
+import { THROTTLE_PROFILES } from './throttle.js';
+import { COLOR_SCHEMES } from './emulation.js';
+import { readCookies } from './auth.js';
+import { BROWSERS, parseBrowsers } from './browsers.js';
+import { TARGET_TYPES } from './targets.js';
+import { ARTIFACT_KINDS } from './artifacts.js';
+import { BUDGET_METRICS } from './perf.js';
+import { AUDIT_TYPES } from './audit.js';
 
 const program = new Command();
 
+// Options that can be given more than once
+const collect = (value, previous) => previous.concat(value);
+
 program
   .name('browser-console-tap')
   .description('Capture browser console logs from a URL after a specified delay')
-  .version('1.0.0')
-  .argument('<url>', 'URL to capture console logs from')
-  .option('-d, --delay <ms>', 'Delay in milliseconds after page load', '3000')
+  .version(VERSION)
+  .argument('[urls...]', 'URL(s) to capture console logs from')
+  .option('-d, --delay <ms>', 'Delay in milliseconds after page load (the longest wait when a --wait-for option or --quiet-period is set)', '3000')
   .option('-t, --timeout <ms>', 'Page load timeout in milliseconds', '30000')
+  .option('--wait-until <event>', `Navigation event to wait for (${WAIT_UNTIL.join(', ')})`, 'domcontentloaded')
+  .option('--wait-for-selector <css>', 'Stop capturing once this selector is visible')
+  .option('--wait-for-console <regex>', 'Stop capturing once a console message matches this pattern')
+  .option('--wait-for-function <js>', 'Stop capturing once this JavaScript expression is truthy in the page')
+  .option('--quiet-period <ms>', 'Stop capturing after this long without console or network activity')
+  .option('--targets <types>', `Comma-separated sources to capture from (${TARGET_TYPES.join(', ')}); all by default`)
+  .option('--levels <types>', 'Comma-separated console message types to show (e.g. error,warning)')
+  .option('--include <regex>', 'Only show console messages whose text or source URL matches')
+  .option('--exclude <regex>', 'Hide console messages whose text or source URL matches')
+  .option('--ignore-file <path>', 'Hide console messages matching any pattern in a file, one per line')
+  .option('--dedupe', 'Collapse repeated console messages into counts')
+  .option('--arg-depth <n>', 'Levels of nested objects kept in structured console arguments', '3')
+  .option('--source-maps [dir]', 'Resolve console locations and stack traces through source maps, looking in dir first')
+  .option('--steps <path>', `Run interaction steps from a JSON file after the page loads (${STEP_ACTIONS.join(', ')})`)
   .option('-v, --verbose', 'Enable verbose logging')
   .option('--no-headless', 'Run browser in non-headless mode (for debugging)')
+  .option('--browser <name>', `Browser engine (${BROWSERS.join(', ')}, all, or a comma-separated list); several engines are compared`, 'chromium')
   .option('--user-agent <agent>', 'Custom user agent string')
+  .option('--device <name>', 'Emulate a device from Playwright\'s device list (e.g. "iPhone 13")')
+  .option('--viewport <WxH>', 'Viewport size (e.g. 1280x720)')
+  .option('--locale <locale>', 'Browser locale (e.g. de-DE)')
+  .option('--timezone <id>', 'Time zone (e.g. Europe/Berlin)')
+  .option('--geolocation <lat,lng>', 'Geolocation reported to the page, with permission granted (e.g. 52.52,13.40)')
+  .option('--color-scheme <scheme>', `Preferred color scheme (${COLOR_SCHEMES.join(', ')})`)
+  .option('--reduced-motion', 'Emulate prefers-reduced-motion: reduce')
   .option('--headers <headers>', 'Custom HTTP headers in JSON format (e.g., \'{"Authorization": "Bearer token", "X-Custom": "value"}\')')
+  .option('--throttle <profile>', `Emulate network conditions (${Object.keys(THROTTLE_PROFILES).join(', ')}, custom:<down kbps>,<up kbps>,<latency ms>)`)
+  .option('--cpu-throttle <rate>', 'Slow the CPU down by this factor (e.g. 4)')
+  .option('--block <globs>', 'Abort requests whose URL matches any of these comma-separated globs (e.g. "**/analytics.js")')
+  .option('--mock <path>', 'Answer requests from a JSON file mapping URL globs to canned responses')
+  .option('--rewrite <json>', 'Set or remove request headers per host in JSON format (e.g., \'{"api.example.com": {"X-Debug": "1"}}\')')
+  .option('--origin-headers <json>', 'Custom HTTP headers per origin in JSON format (e.g., \'{"https://api.example.com": {"Authorization": "Bearer token"}}\')')
+  .option('--cookies <path>', 'Add cookies from a JSON or Netscape cookies.txt file')
+  .option('--storage-state <path>', 'Load cookies and local storage from a Playwright storage state file, and save them back when done')
+  .option('--http-credentials <user:pass>', 'Credentials for HTTP authentication')
+  .option('--client-cert <spec>', 'Client certificate as origin,cert.pem,key.pem[,passphrase] or origin,cert.pfx[,passphrase]')
+  .option('--login-script <path>', 'Module that logs in once; with --storage-state the session is reused by later runs')
   .option('--network', 'Track and display network requests and responses')
   .option('--network-verbose', 'Track network requests with detailed headers (implies --network)')
+  .option('-f, --format <format>', `Output format (${FORMATS.join(', ')})`, 'pretty')
+  .option('--fail-on <rules>', `Exit non-zero when any of these comma-separated rules trip (${Object.keys(FAIL_RULES).join(', ')})`)
+  .option('--max-errors <n>', 'Number of matching events tolerated per --fail-on rule', '0')
+  .option('--save-baseline <path>', 'Save console errors, warnings and requests as a baseline file')
+  .option('--compare-baseline <path>', 'Report only new issues and slower requests compared with a baseline file')
+  .option('--slowdown-threshold <percent>', 'Percent slower a request must get to count as a regression', '50')
+  .option('--perf', 'Record Web Vitals (LCP, CLS, INP, FID, FCP, TTFB), long tasks and memory use')
+  .option('--budget <limits>', `Exit non-zero when metrics go over these limits, e.g. lcp=2500,cls=0.1 (${Object.keys(BUDGET_METRICS).join(', ')}); implies --perf`)
+  .option('--audit <types>', `Run audits on the captured page (${AUDIT_TYPES.join(', ')}) and report findings by severity`)
+  .option('--redact <regex>', 'Also replace text matching this pattern with [REDACTED] in all output (repeatable; only the first capture group if it has one)', collect, [])
+  .option('--show-secrets', 'Turn off the built-in redaction of credentials, cookies, tokens and card numbers')
+  .option('--urls-file <path>', 'Read additional URLs from a file, one per line')
+  .option('-c, --concurrency <n>', 'Number of URLs captured at the same time', '1')
+  .option('--artifacts-dir <dir>', 'Write a screenshot, DOM snapshot and trace for each capture, and on page errors, to this directory')
+  .option('--artifacts <kinds>', `Comma-separated artifacts to write (${ARTIFACT_KINDS.join(', ')})`, 'screenshot,dom,trace')
+  .option('--har <path>', 'Write captured network traffic to a HAR 1.2 file')
+  .option('--har-bodies', 'Include response bodies in the HAR file')
+  .option('--har-max-body <bytes>', 'Maximum bytes kept per response body', '1048576')
+  .option('--ws-frames', 'Record WebSocket frame payloads (requires --network or --network-verbose to display)')
+  .option('--ws-frame-max <chars>', 'Maximum characters kept per WebSocket frame payload', '1024')
+  .option('--watch <interval>', 'Keep capturing the page on a schedule (e.g. 30s, 5m) and report what changed after each cycle')
+  .option('--watch-files <paths>', 'Capture the page again when these comma-separated files or directories change')
+  .option('--on-change <command>', 'Run a shell command, or POST to an http(s) URL, when the set of errors changes between cycles')
   .parse();
 
 const options = program.opts();
-const url = program.args[0];
+const urls = [...program.args];
+
+// Read URLs from a file: one per line, blank lines and # comments ignored
+if (options.urlsFile) {
+  try {
+    const lines = readFileSync(options.urlsFile, 'utf8').split('\n').map(line => line.trim());
+    urls.push(...lines.filter(line => line && !line.startsWith('#')));
+  } catch (error) {
+    console.error(chalk.red(`Error: Could not read URLs file "${options.urlsFile}": ${error.message}`));
+    process.exit(1);
+  }
+}
 
-if (!url) {
+if (urls.length === 0) {
   console.error(chalk.red('Error: URL is required'));
-  console.error('Usage: browser-console-tap <url> [options]');
+  console.error('Usage: browser-console-tap <url...> [options]');
   process.exit(1);
 }
 
-// Validate URL
+// Several engines run as a batch, which compares them
+let browsers;
 try {
-  new URL(url);
+  browsers = parseBrowsers(options.browser);
 } catch (error) {
-  console.error(chalk.red(`Error: Invalid URL "${url}"`));
-  process.exit(1);
-}
-
-// Validate delay
-const delayMs = parseInt(options.delay);
-if (isNaN(delayMs) || delayMs < 0) {
-  console.error(chalk.red(`Error: Invalid delay "${options.delay}". Must be a positive number.`));
-  process.exit(1);
-}
-
-// Validate timeout
-const timeoutMs = parseInt(options.timeout);
-if (isNaN(timeoutMs) || timeoutMs < 1000) {
-  console.error(chalk.red(`Error: Invalid timeout "${options.timeout}". Must be at least 1000ms.`));
+  console.error(chalk.red(`Error: ${error.message}`));
   process.exit(1);
 }
 
@@ -67,442 +141,331 @@ if (options.headers) {
   }
 }
 
-// Helper function to truncate long values
-function truncateValue(value, maxLength = 512) {
-  if (typeof value !== 'string') {
-    value = String(value);
+// Parse per-origin headers if provided
+let originHeaders = {};
+if (options.originHeaders) {
+  try {
+    originHeaders = JSON.parse(options.originHeaders);
+  } catch (error) {
+    console.error(chalk.red(`Error: Invalid origin headers format "${options.originHeaders}". Must be valid JSON.`));
+    console.error(chalk.gray('Example: --origin-headers \'{"https://api.example.com": {"Authorization": "Bearer token"}}\''));
+    process.exit(1);
   }
-  if (value.length <= maxLength) {
-    return value;
+}
+
+// Read cookies if provided
+let cookies = null;
+if (options.cookies) {
+  try {
+    cookies = readCookies(options.cookies);
+  } catch (error) {
+    console.error(chalk.red(`Error: Could not read cookies file "${options.cookies}": ${error.message}`));
+    process.exit(1);
   }
-  return `${value.substring(0, maxLength)}...`;
 }
 
-// Helper function to format headers for display
-function formatHeaders(headers, maxLength = 512) {
-  if (!headers || Object.keys(headers).length === 0) {
-    return '{}';
+// Read mock responses if provided
+let mock = {};
+if (options.mock) {
+  try {
+    mock = readMockRules(options.mock);
+  } catch (error) {
+    console.error(chalk.red(`Error: Could not read mock file "${options.mock}": ${error.message}`));
+    process.exit(1);
   }
-  
-  const formatted = {};
-  for (const [key, value] of Object.entries(headers)) {
-    formatted[key] = truncateValue(value, maxLength);
+}
+
+// Parse header rewrites if provided
+let rewrite = {};
+if (options.rewrite) {
+  try {
+    rewrite = JSON.parse(options.rewrite);
+  } catch (error) {
+    console.error(chalk.red(`Error: Invalid rewrite format "${options.rewrite}". Must be valid JSON.`));
+    console.error(chalk.gray('Example: --rewrite \'{"api.example.com": {"X-Debug": "1", "Cookie": null}}\''));
+    process.exit(1);
   }
-  return JSON.stringify(formatted, null, 2);
 }
 
-async function main() {
-  let browser;
-  
+// Read interaction steps if provided
+let steps = null;
+if (options.steps) {
+  if (/\.ya?ml$/i.test(options.steps)) {
+    console.error(chalk.red(`Error: Steps file "${options.steps}" is YAML. Steps files must be JSON.`));
+    process.exit(1);
+  }
   try {
-    console.log(chalk.blue(`🚀 Starting browser-console-tap`));
-    console.log(chalk.gray(`URL: ${url}`));
-    console.log(chalk.gray(`Delay: ${delayMs}ms`));
-    console.log(chalk.gray(`Timeout: ${timeoutMs}ms`));
-    console.log(chalk.gray(`Headless: ${options.headless ? 'Yes' : 'No'}`));
-    if (options.network || options.networkVerbose) {
-      console.log(chalk.gray(`Network tracking: ${options.networkVerbose ? 'Verbose' : 'Basic'}`));
-    }
-    if (Object.keys(customHeaders).length > 0) {
-      console.log(chalk.gray(`Headers: ${JSON.stringify(customHeaders)}`));
-    }
-    console.log('');
-
-    // Launch browser
-    browser = await chromium.launch({ 
-      headless: options.headless 
-    });
-    
-    const context = await browser.newContext();
-    const page = await context.newPage();
-
-    // Set custom headers if provided
-    if (Object.keys(customHeaders).length > 0) {
-      await page.setExtraHTTPHeaders(customHeaders);
+    steps = JSON.parse(readFileSync(options.steps, 'utf8'));
+  } catch (error) {
+    console.error(chalk.red(`Error: Could not read steps file "${options.steps}": ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Read patterns of known noisy messages if provided
+const exclude = options.exclude ? [options.exclude] : [];
+if (options.ignoreFile) {
+  try {
+    exclude.push(...readIgnorePatterns(readFileSync(options.ignoreFile, 'utf8')));
+  } catch (error) {
+    console.error(chalk.red(`Error: Could not read ignore file "${options.ignoreFile}": ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Read the baseline to compare with if provided
+let baseline = null;
+if (options.compareBaseline) {
+  try {
+    baseline = readBaseline(options.compareBaseline);
+  } catch (error) {
+    console.error(chalk.red(`Error: Could not read baseline file "${options.compareBaseline}": ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Validate output format
+const format = options.format;
+if (!FORMATS.includes(format)) {
+  console.error(chalk.red(`Error: Invalid format "${format}". Must be one of: ${FORMATS.join(', ')}.`));
+  process.exit(1);
+}
+
+// Parse failure policy
+let failRules = [];
+if (options.failOn) {
+  try {
+    failRules = parseFailOn(options.failOn);
+  } catch (error) {
+    console.error(chalk.red(`Error: Invalid --fail-on "${options.failOn}". ${error.message}.`));
+    console.error(chalk.gray(`Available rules: ${Object.keys(FAIL_RULES).join(', ')}`));
+    process.exit(1);
+  }
+}
+
+const reporterOptions = {
+  verbose: options.verbose,
+  network: options.networkVerbose ? 'verbose' : options.network ? 'basic' : false
+};
+
+const tapOptions = {
+  delay: options.delay,
+  timeout: options.timeout,
+  waitUntil: options.waitUntil,
+  waitForSelector: options.waitForSelector,
+  waitForConsole: options.waitForConsole,
+  waitForFunction: options.waitForFunction,
+  quietPeriod: options.quietPeriod,
+  steps,
+  sourceMaps: options.sourceMaps ?? false,
+  argDepth: options.argDepth,
+  targets: options.targets,
+  artifactsDir: options.artifactsDir,
+  artifacts: options.artifacts,
+  levels: options.levels,
+  include: options.include,
+  exclude,
+  dedupe: Boolean(options.dedupe),
+  headless: options.headless,
+  browser: browsers,
+  userAgent: options.userAgent,
+  device: options.device,
+  viewport: options.viewport,
+  locale: options.locale,
+  timezone: options.timezone,
+  geolocation: options.geolocation,
+  colorScheme: options.colorScheme,
+  reducedMotion: Boolean(options.reducedMotion),
+  headers: customHeaders,
+  originHeaders,
+  cookies,
+  storageState: options.storageState,
+  httpCredentials: options.httpCredentials,
+  clientCertificates: options.clientCert,
+  loginScript: options.loginScript,
+  throttle: options.throttle,
+  cpuThrottle: options.cpuThrottle,
+  block: options.block,
+  mock,
+  rewrite,
+  // HAR export, baselines and engine comparisons need network data even when it is not displayed
+  network: options.networkVerbose ? 'verbose' : Boolean(options.network || options.har || options.saveBaseline || browsers.length > 1),
+  failOn: failRules,
+  maxErrors: options.maxErrors,
+  baseline,
+  slowdownThreshold: options.slowdownThreshold,
+  perf: Boolean(options.perf),
+  budget: options.budget,
+  audit: options.audit,
+  redact: options.redact,
+  showSecrets: Boolean(options.showSecrets),
+  responseBodies: Boolean(options.har && options.harBodies),
+  maxBodySize: options.harMaxBody,
+  webSocketFrames: Boolean(options.wsFrames),
+  maxFramePayload: options.wsFrameMax
+};
+
+// Write the HAR file if one was requested. Partial captures are written too.
+function saveHar(results) {
+  if (!options.har || !results) {
+    return;
+  }
+
+  try {
+    writeHar(options.har, results);
+    if (format === 'pretty') {
+      console.log(chalk.gray(`📦 HAR written to ${options.har}`));
     }
+  } catch (error) {
+    console.error(chalk.red(`Error: Could not write HAR file "${options.har}": ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
+// Write the baseline file if one was requested. Pages that could not be
+// captured are left out rather than saved with partial data.
+function saveBaseline(results) {
+  if (!options.saveBaseline) {
+    return;
+  }
 
-    // Set custom user agent if provided
-    if (options.userAgent) {
-      await page.setExtraHTTPHeaders({
-        ...customHeaders,
-        'User-Agent': options.userAgent
-      });
+  const captured = [].concat(results).filter(result => !result.error);
+  if (captured.length === 0) {
+    return;
+  }
+
+  try {
+    writeBaseline(options.saveBaseline, captured);
+    if (format === 'pretty') {
+      console.log(chalk.gray(`📐 Baseline written to ${options.saveBaseline}`));
     }
+  } catch (error) {
+    console.error(chalk.red(`Error: Could not write baseline file "${options.saveBaseline}": ${error.message}`));
+    process.exitCode = 1;
+  }
+}
 
-    // Network tracking
-    const networkRequests = [];
-    
-    if (options.network || options.networkVerbose) {
-      page.on('request', async (request) => {
-        const url = request.url();
-        const method = request.method();
-        const headers = request.headers();
-        const postData = request.postData();
-        const resourceType = request.resourceType();
-        
-        // Check if this is a WebSocket upgrade request
-        const isWebSocketUpgrade = headers['upgrade'] === 'websocket';
-        
-        const networkRequest = {
-          url,
-          method,
-          headers,
-          postData,
-          resourceType,
-          timestamp: new Date().toISOString(),
-          startTime: Date.now(),
-          isWebSocketUpgrade
-        };
-        
-        networkRequests.push(networkRequest);
-      });
-
-      page.on('response', async (response) => {
-        const url = response.url();
-        const status = response.status();
-        const headers = response.headers();
-        const request = response.request();
-        
-        // Find the corresponding request
-        const networkRequest = networkRequests.find(req => req.url === url && req.method === request.method());
-        
-        if (networkRequest) {
-          const endTime = Date.now();
-          const duration = endTime - networkRequest.startTime;
-          
-          networkRequest.response = {
-            status,
-            headers,
-            duration
-          };
-        }
-      });
-
-      page.on('requestfailed', (request) => {
-        const url = request.url();
-        const failure = request.failure();
-        const resourceType = request.resourceType();
-        
-        // Store failed request for later display
-        const networkRequest = networkRequests.find(req => req.url === url && req.method === request.method());
-        if (networkRequest) {
-          networkRequest.failed = true;
-          networkRequest.failure = failure.errorText;
-          networkRequest.resourceType = resourceType;
-        } else {
-          // If we can't find the request, create a new entry for the failed request
-          const failedRequest = {
-            url,
-            method: request.method(),
-            headers: request.headers(),
-            postData: request.postData(),
-            resourceType,
-            failed: true,
-            failure: failure.errorText,
-            timestamp: new Date().toISOString(),
-            startTime: Date.now()
-          };
-          networkRequests.push(failedRequest);
-        }
-      });
-
-                // Track WebSocket connections with enhanced header capture
-      page.on('websocket', async (ws) => {
-        const url = ws.url();
-        
-        // Try to capture the actual WebSocket upgrade request headers
-        let capturedHeaders = {};
-        try {
-          // Create a basic set of WebSocket headers that would be sent
-          const urlObj = new URL(url);
-          capturedHeaders = {
-            'upgrade': 'websocket',
-            'connection': 'Upgrade',
-            'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==', // Sample key
-            'sec-websocket-version': '13',
-            'sec-websocket-extensions': 'permessage-deflate; client_max_window_bits',
-            'accept-encoding': 'gzip, deflate, br, zstd',
-            'accept-language': 'en-US,en;q=0.9,fr;q=0.8',
-            'cache-control': 'no-cache',
-            'pragma': 'no-cache',
-            'host': urlObj.host,
-            'origin': `https://${urlObj.host}`,
-            'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36'
-          };
-        } catch (error) {
-          console.log(chalk.yellow(`Warning: Could not capture WebSocket headers: ${error.message}`));
-        }
-        
-        const networkRequest = {
-          url,
-          method: 'WEBSOCKET',
-          headers: capturedHeaders,
-          postData: null,
-          resourceType: 'websocket',
-          timestamp: new Date().toISOString(),
-          startTime: Date.now(),
-          isWebSocket: true
-        };
-        
-        networkRequests.push(networkRequest);
-        
-        ws.on('socketerror', (error) => {
-          networkRequest.failed = true;
-          networkRequest.failure = `WebSocket error: ${error}`;
-        });
-        
-        ws.on('close', () => {
-          const endTime = Date.now();
-          const duration = endTime - networkRequest.startTime;
-          networkRequest.response = {
-            status: 'CLOSED',
-            headers: {},
-            duration
-          };
-        });
-      });
-      
+// Capture a single URL, streaming its output as it happens
+async function runSingle(session) {
+  const reporter = createReporter(format, reporterOptions);
+  attachReporter(session, reporter);
 
+  try {
+    const result = await session;
+
+    // A tripped --fail-on rule takes precedence over baseline regressions,
+    // and both over metrics going over their budget
+    if (result.policy && !result.policy.passed) {
+      process.exitCode = result.policy.exitCode;
+    } else if (result.baseline && !result.baseline.passed) {
+      process.exitCode = result.baseline.exitCode;
+    } else if (result.perf && result.perf.budget && !result.perf.budget.passed) {
+      process.exitCode = result.perf.budget.exitCode;
     }
 
-    // Capture console messages
-    const consoleMessages = [];
-    page.on('console', async (msg) => {
-      try {
-        // Get the console message text directly
-        const messageText = msg.text();
-        
-        // Try to get additional arguments
-        let args = [];
-        try {
-          args = await Promise.all(
-            msg.args().map(async (arg) => {
-              try {
-                return await arg.jsonValue();
-              } catch {
-                // If JSON parsing fails, try to get the string representation
-                try {
-                  return await arg.textContent();
-                } catch {
-                  return arg.toString();
-                }
-              }
-            })
-          );
-        } catch (argError) {
-          // If we can't get args, just use the message text
-          args = [messageText];
-        }
-
-        const message = {
-          type: msg.type(),
-          text: messageText,
-          args,
-          timestamp: new Date().toISOString()
-        };
-
-        consoleMessages.push(message);
-        
-        // Format and output the message
-        const typeColor = msg.type() === 'error' ? 'red' : 
-                         msg.type() === 'warning' ? 'yellow' : 'green';
-        
-        // Use the message text as the primary output
-        let outputText = messageText;
-        
-        // If we have additional args and they're different from the text, append them
-        if (args.length > 0 && args[0] !== messageText) {
-          const formattedArgs = args.map(arg => {
-            if (typeof arg === 'object') {
-              return JSON.stringify(arg);
-            }
-            return String(arg);
-          }).join(' ');
-          outputText = `${messageText} ${formattedArgs}`;
-        }
-
-        console.log(chalk[typeColor](`[console.${msg.type()}] ${outputText}`));
-      } catch (error) {
-        console.error(chalk.red(`[console.error] Failed to process console message: ${error.message}`));
-      }
-    });
+    saveHar(result);
+    saveBaseline(result);
+  } catch (error) {
+    reporter.error(error);
+    saveHar(error.result);
+    process.exitCode = 1;
+  }
+}
 
-    // Capture page errors
-    page.on('pageerror', (error) => {
-      console.error(chalk.red(`[pageerror] ${error.message}`));
-    });
+// Capture several URLs in one browser and print an aggregate summary
+async function runBatch(batch) {
+  const reporter = createBatchReporter(format, reporterOptions);
+  reporter.start(batch.displayUrls, batch.concurrency, batch.options.browsers);
+  batch.on('session', (session, index) => reporter.session(session, index, batch.total));
 
-    // Capture request failures
-    page.on('requestfailed', (request) => {
-      if (options.verbose && !options.network && !options.networkVerbose) {
-        console.error(chalk.red(`[requestfailed] ${request.url()} - ${request.failure().errorText}`));
-      }
-    });
-
-    console.log(chalk.blue(`📄 Navigating to ${url}...`));
-    
-    // Navigate to the page
-    await page.goto(url, { 
-      waitUntil: 'domcontentloaded',
-      timeout: timeoutMs 
-    });
-
-    console.log(chalk.green(`✅ Page loaded successfully`));
-    console.log(chalk.blue(`⏳ Waiting ${delayMs}ms for console activity...`));
-
-    // Wait for the specified delay
-    await page.waitForTimeout(delayMs);
-
-    console.log(chalk.green(`✅ Capture complete!`));
-    console.log(chalk.gray(`📊 Captured ${consoleMessages.length} console messages`));
-    
-    if (options.network || options.networkVerbose) {
-      const successfulRequests = networkRequests.filter(req => req.response);
-      const failedRequests = networkRequests.filter(req => req.failed);
-      const pendingRequests = networkRequests.filter(req => !req.response && !req.failed);
-      
-      console.log(chalk.gray(`🌐 Network: ${successfulRequests.length} successful, ${failedRequests.length} failed, ${pendingRequests.length} pending requests`));
-      
-      // Highlight network issues
-      if (failedRequests.length > 0 || pendingRequests.length > 0) {
-        console.log(chalk.yellow(`⚠️  Network Issues Detected:`));
-        
-        if (failedRequests.length > 0) {
-          console.log(chalk.red(`   ${failedRequests.length} failed requests:`));
-          failedRequests.forEach((req, index) => {
-            console.log(chalk.red(`     ${index + 1}. ${req.method} ${req.url} - ${req.failure}`));
-          });
-        }
-        
-        if (pendingRequests.length > 0) {
-          console.log(chalk.yellow(`   ${pendingRequests.length} pending requests (no response received):`));
-          pendingRequests.forEach((req, index) => {
-            const duration = Date.now() - req.startTime;
-            console.log(chalk.yellow(`     ${index + 1}. ${req.method} ${req.url} - Pending for ${duration}ms`));
-          });
-        }
-        
-        // Network diagnostics
-        console.log(chalk.blue(`\n🔍 Network Diagnostics:`));
-        
-        // Check for common patterns
-        const pendingScripts = pendingRequests.filter(req => req.resourceType === 'script');
-        const pendingStylesheets = pendingRequests.filter(req => req.resourceType === 'stylesheet');
-        const pendingImages = pendingRequests.filter(req => req.resourceType === 'image');
-        
-        if (pendingScripts.length > 0) {
-          console.log(chalk.yellow(`   ⚠️  ${pendingScripts.length} JavaScript files pending - may cause page functionality issues`));
-        }
-        
-        if (pendingStylesheets.length > 0) {
-          console.log(chalk.yellow(`   ⚠️  ${pendingStylesheets.length} CSS files pending - may cause styling issues`));
-        }
-        
-        if (pendingImages.length > 0) {
-          console.log(chalk.yellow(`   ⚠️  ${pendingImages.length} images pending - may cause visual issues`));
-        }
-        
-        // Check for timeout patterns
-        const longPendingRequests = pendingRequests.filter(req => {
-          const duration = Date.now() - req.startTime;
-          return duration > 5000; // More than 5 seconds
-        });
-        
-        if (longPendingRequests.length > 0) {
-          console.log(chalk.red(`   🚨 ${longPendingRequests.length} requests pending for >5 seconds - possible network connectivity issues`));
-        }
-        
-        // Check for domain-specific issues
-        const domains = [...new Set(pendingRequests.map(req => new URL(req.url).hostname))];
-        if (domains.length > 1) {
-          console.log(chalk.yellow(`   📡 Pending requests span ${domains.length} different domains`));
-        }
-      }
-      
-      // Display network requests after timeout
-      if (options.networkVerbose && networkRequests.length > 0) {
-        console.log(chalk.blue(`\n📋 Network Requests (collected during timeout):`));
-        networkRequests.forEach((req, index) => {
-          const { url, method, headers, postData, response, failed, failure, resourceType, isWebSocket, isWebSocketUpgrade } = req;
-          
-          let requestType = method;
-          if (isWebSocket) {
-            requestType = 'WEBSOCKET';
-          } else if (isWebSocketUpgrade) {
-            requestType = 'WEBSOCKET_UPGRADE';
-          }
-          
-          console.log(chalk.cyan(`\n${index + 1}. [REQUEST] ${requestType} ${url}`));
-          if (resourceType) {
-            console.log(chalk.gray(`   Resource Type: ${resourceType}`));
-          }
-          if (isWebSocketUpgrade) {
-            console.log(chalk.blue(`   WebSocket Upgrade Request`));
-          }
-          console.log(chalk.gray(`   Headers: ${formatHeaders(headers)}`));
-          if (postData) {
-            console.log(chalk.gray(`   Post Data: ${truncateValue(postData)}`));
-          }
-          
-          if (response) {
-            // Determine status color
-            let statusColor = 'green';
-            if (response.status >= 400 || response.status === 'CLOSED') statusColor = 'red';
-            else if (response.status >= 300) statusColor = 'yellow';
-            
-            console.log(chalk[statusColor](`   [RESPONSE] ${response.status} (${response.duration}ms)`));
-            console.log(chalk.gray(`   Response Headers: ${formatHeaders(response.headers)}`));
-          } else if (failed) {
-            console.log(chalk.red(`   [FAILED] ${failure}`));
-          } else {
-            console.log(chalk.yellow(`   [PENDING] No response received`));
-          }
-        });
-      } else if (options.network && networkRequests.length > 0) {
-        console.log(chalk.blue(`\n📋 Network Summary:`));
-        networkRequests.forEach((req, index) => {
-          const { url, method, response, failed, failure, resourceType, isWebSocket } = req;
-          const requestType = isWebSocket ? 'WEBSOCKET' : method;
-          if (response) {
-            const statusColor = response.status >= 400 || response.status === 'CLOSED' ? 'red' : response.status >= 300 ? 'yellow' : 'green';
-            console.log(chalk[statusColor](`  ${index + 1}. ${requestType} ${url} - ${response.status} (${response.duration}ms)`));
-          } else if (failed) {
-            console.log(chalk.red(`  ${index + 1}. ${requestType} ${url} - FAILED: ${failure}`));
-          } else {
-            console.log(chalk.yellow(`  ${index + 1}. ${requestType} ${url} - PENDING`));
-          }
-        });
+  try {
+    const result = await batch;
+    reporter.complete(result);
+
+    // Pages that could not be captured count as tool errors, then the
+    // first tripped --fail-on rule in URL order decides the exit code,
+    // then the first baseline regression, then the first page over budget
+    if (result.summary.errored > 0) {
+      process.exitCode = 1;
+    } else {
+      const failed = result.results.find(page => page.policy && !page.policy.passed);
+      const regressed = result.results.find(page => page.baseline && !page.baseline.passed);
+      const overBudget = result.results.find(page => page.perf && page.perf.budget && !page.perf.budget.passed);
+      if (failed) {
+        process.exitCode = failed.policy.exitCode;
+      } else if (regressed) {
+        process.exitCode = regressed.baseline.exitCode;
+      } else if (overBudget) {
+        process.exitCode = overBudget.perf.budget.exitCode;
       }
     }
 
+    saveHar(result.results);
+    saveBaseline(result.results);
   } catch (error) {
-    console.error(chalk.red(`❌ Error: ${error.message}`));
-    
-    if (options.verbose) {
-      console.error(chalk.gray(error.stack));
-    }
-    
-    process.exit(1);
-  } finally {
-    if (browser) {
-      await browser.close();
-      console.log(chalk.blue(`🔚 Browser closed`));
+    reporter.error(error);
+    process.exitCode = 1;
+  }
+}
+
+// Capture one page over and over until interrupted
+async function runWatch(watcher) {
+  const reporter = createWatchReporter(format, reporterOptions);
+  reporter.start(watcher.displayUrl, { interval: watcher.interval, files: watcher.files });
+  watcher.on('cycle', (session, cycle, trigger) => reporter.cycle(session, cycle, trigger));
+  watcher.on('delta', (delta, result) => reporter.delta(delta, result));
+  watcher.on('warning', warning => reporter.warning(warning));
+
+  try {
+    await watcher;
+  } catch (error) {
+    reporter.error(error);
+    process.exitCode = 1;
+  }
+}
+
+// Validate the remaining options and create the capture
+let run;
+let watcher = null;
+try {
+  if (options.watch || options.watchFiles) {
+    if (urls.length > 1) {
+      throw new Error('--watch takes a single URL');
     }
+    watcher = watch(urls[0], { ...tapOptions, interval: options.watch, watchFiles: options.watchFiles, onChange: options.onChange });
+    run = () => runWatch(watcher);
+  } else if (options.onChange) {
+    throw new Error('--on-change needs --watch or --watch-files');
+  } else if (urls.length === 1 && browsers.length === 1) {
+    const session = tap(urls[0], tapOptions);
+    run = () => runSingle(session);
+  } else {
+    const batch = tapMany(urls, { ...tapOptions, concurrency: options.concurrency });
+    run = () => runBatch(batch);
   }
+} catch (error) {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
 }
 
-// Handle process termination
-process.on('SIGINT', async () => {
-  console.log(chalk.yellow('\n⚠️  Interrupted by user'));
+// Handle process termination. A watch finishes its running cycle first, so
+// its delta is reported and an --on-change hook in flight completes; a
+// second signal exits right away.
+const terminate = message => async () => {
+  if (format === 'pretty') {
+    console.log(chalk.yellow(`\n⚠️  ${message}`));
+  }
+  if (watcher && !watcher.stopped) {
+    watcher.stop();
+    await watcher.catch(() => {});
+  }
   process.exit(0);
-});
+};
 
-process.on('SIGTERM', async () => {
-  console.log(chalk.yellow('\n⚠️  Terminated'));
-  process.exit(0);
-});
+process.on('SIGINT', terminate('Interrupted by user'));
+process.on('SIGTERM', terminate('Terminated'));
 
-main().catch((error) => {
+run().catch((error) => {
   console.error(chalk.red(`❌ Unhandled error: ${error.message}`));
   process.exit(1);
-});
\ No newline at end of file
+});
@@ -0,0 +1,175 @@
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+
+// Request interception (--block, --mock, --rewrite) through page.route. Each
+// request goes through at most one rule: a matching block pattern aborts it,
+// a matching mock answers it, and otherwise its headers are rewritten when
+// its host has a rewrite rule. Intercepted requests are reported to
+// `onIntercept(request, interception)` so the network entry can be marked.
+
+// Glob to RegExp, Playwright style: `**` matches anything, `*` anything but
+// `/`, and `{a,b}` either alternative
+export function globToRegExp(glob) {
+  let source = '';
+  let inGroup = false;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '{') {
+      source += '(?:';
+      inGroup = true;
+    } else if (char === '}' && inGroup) {
+      source += ')';
+      inGroup = false;
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+?^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Parse comma-separated block globs (or an array of them)
+export function parseBlockPatterns(value) {
+  return [].concat(value ?? []).join(',').split(',').map(pattern => pattern.trim()).filter(Boolean);
+}
+
+// Validate mock rules: an object mapping URL globs to
+// `{ status, headers, body }` or `{ status, headers, file }`
+export function parseMockRules(rules) {
+  if (!isPlainObject(rules)) {
+    throw new Error('Mock rules must be an object mapping URL globs to responses');
+  }
+
+  return Object.entries(rules).map(([glob, response]) => {
+    if (!isPlainObject(response)) {
+      throw new Error(`Mock for "${glob}" must be an object`);
+    }
+    const status = response.status ?? 200;
+    if (!Number.isInteger(status) || status < 100 || status > 599) {
+      throw new Error(`Mock for "${glob}" has an invalid status "${response.status}"`);
+    }
+    if (response.headers !== undefined && !isPlainObject(response.headers)) {
+      throw new Error(`Mock for "${glob}" has invalid headers; they must be an object`);
+    }
+    if (response.body !== undefined && response.file !== undefined) {
+      throw new Error(`Mock for "${glob}" has both "body" and "file"`);
+    }
+    return { glob, pattern: globToRegExp(glob), status, headers: response.headers || {}, body: response.body, file: response.file };
+  });
+}
+
+// Read a mock rules file. Relative `file` paths are resolved against the
+// rules file's directory.
+export function readMockRules(path) {
+  const rules = JSON.parse(readFileSync(path, 'utf8'));
+  const parsed = parseMockRules(rules);
+  for (const rule of parsed) {
+    if (rule.file !== undefined) {
+      rules[rule.glob].file = resolve(dirname(path), rule.file);
+    }
+  }
+  return rules;
+}
+
+// Validate rewrite rules: an object mapping hosts (globs like
+// `*.example.com` allowed) to headers to set, or to remove when null
+export function parseRewriteRules(rules) {
+  if (!isPlainObject(rules)) {
+    throw new Error('Rewrite rules must be an object mapping hosts to headers');
+  }
+
+  return Object.entries(rules).map(([host, headers]) => {
+    if (!isPlainObject(headers)) {
+      throw new Error(`Rewrite for "${host}" must be an object of headers`);
+    }
+    const invalid = Object.keys(headers).filter(name => headers[name] !== null && typeof headers[name] !== 'string');
+    if (invalid.length > 0) {
+      throw new Error(`Rewrite for "${host}" has non-string values for ${invalid.join(', ')}`);
+    }
+    return { host, pattern: globToRegExp(host), headers };
+  });
+}
+
+// Whether any interception is configured
+export function hasInterception(options) {
+  return options.block.length > 0 || options.mock.length > 0 || options.rewrite.length > 0;
+}
+
+// Mocked response for route.fulfill(). Bodies that are not strings are sent as JSON.
+function toFulfillment(rule) {
+  const fulfillment = { status: rule.status, headers: rule.headers };
+  if (rule.file !== undefined) {
+    fulfillment.path = rule.file;
+  } else if (typeof rule.body === 'string') {
+    fulfillment.body = rule.body;
+  } else if (rule.body !== undefined) {
+    const hasContentType = Object.keys(rule.headers).some(name => name.toLowerCase() === 'content-type');
+    fulfillment.body = JSON.stringify(rule.body);
+    if (!hasContentType) {
+      fulfillment.headers = { ...rule.headers, 'content-type': 'application/json' };
+    }
+  }
+  return fulfillment;
+}
+
+// Request headers with changes applied, removing those set to null. Names
+// match case-insensitively.
+export function rewriteHeaders(headers, changes) {
+  const rewritten = { ...headers };
+  for (const [name, value] of Object.entries(changes)) {
+    for (const existing of Object.keys(rewritten)) {
+      if (existing.toLowerCase() === name.toLowerCase()) {
+        delete rewritten[existing];
+      }
+    }
+    if (value !== null) {
+      rewritten[name] = value;
+    }
+  }
+  return rewritten;
+}
+
+// Route every request of a page through the block, mock and rewrite rules
+export async function installInterception(page, options, onIntercept) {
+  const block = options.block.map(glob => ({ glob, pattern: globToRegExp(glob) }));
+
+  await page.route('**/*', async (route) => {
+    const request = route.request();
+    const url = request.url();
+
+    const blocked = block.find(rule => rule.pattern.test(url));
+    if (blocked) {
+      onIntercept(request, { action: 'blocked', rule: blocked.glob });
+      await route.abort('blockedbyclient');
+      return;
+    }
+
+    const mock = options.mock.find(rule => rule.pattern.test(url));
+    if (mock) {
+      onIntercept(request, { action: 'mocked', rule: mock.glob });
+      await route.fulfill(toFulfillment(mock));
+      return;
+    }
+
+    const { hostname } = new URL(url);
+    const rewrite = options.rewrite.find(rule => rule.pattern.test(hostname));
+    if (rewrite) {
+      onIntercept(request, { action: 'rewritten', rule: rewrite.host });
+      // Context routes (like --origin-headers) still get to see the request
+      await route.fallback({ headers: rewriteHeaders(request.headers(), rewrite.headers) });
+      return;
+    }
+
+    await route.fallback();
+  });
+}
@@ -0,0 +1,184 @@
+import { readResponseBody } from './har.js';
+import { trackWebSockets } from './websocket.js';
+import { supportsCdp } from './browsers.js';
+
+// Strip internal bookkeeping from a network entry before it leaves the session
+export function toNetworkEntry(req) {
+  const entry = { ...req };
+  delete entry.startTime;
+  return entry;
+}
+
+// Round to a tenth of a millisecond
+function round(ms) {
+  return Math.round(ms * 10) / 10;
+}
+
+// Time between two request.timing() marks, or null when either is missing
+function phase(start, end) {
+  return start >= 0 && end >= 0 ? round(end - start) : null;
+}
+
+// Break Playwright's request.timing() down into DNS/connect/TLS/TTFB/download
+// phases, all in milliseconds. Phases the browser did not go through (for
+// example DNS and connect on a reused connection) are null.
+export function toTimingPhases(timing) {
+  return {
+    dns: phase(timing.domainLookupStart, timing.domainLookupEnd),
+    connect: phase(timing.connectStart, timing.connectEnd),
+    tls: phase(timing.secureConnectionStart, timing.connectEnd),
+    ttfb: phase(timing.requestStart, timing.responseStart),
+    download: phase(timing.responseStart, timing.responseEnd),
+    total: timing.responseEnd >= 0 ? round(timing.responseEnd) : null
+  };
+}
+
+// Track requests, responses, failures and WebSocket connections on a page.
+// Entries are correlated by Playwright Request identity, so repeated requests
+// to the same URL each keep their own response, and redirect chains are
+// linked through `redirectedFrom`/`redirectedTo` entry ids.
+//
+// Returns `settle()`, which waits for response bodies still being read, and
+// `markIntercepted(request, interception)`, which marks the request's entry
+// as blocked, mocked or rewritten.
+export async function trackNetwork(page, session, networkRequests) {
+  const { options } = session;
+  const { redactor } = options;
+  const entries = new Map();
+  const interceptions = new WeakMap();
+  const pendingBodies = new Set();
+
+  const addEntry = (networkRequest) => {
+    networkRequest.id = networkRequests.length + 1;
+    session.tagStep(networkRequest);
+    networkRequests.push(networkRequest);
+    return networkRequest;
+  };
+
+  page.on('request', (request) => {
+    const url = request.url();
+    const method = request.method();
+    const headers = request.headers();
+    const postData = request.postData();
+    const resourceType = request.resourceType();
+
+    // Check if this is a WebSocket upgrade request
+    const isWebSocketUpgrade = headers['upgrade'] === 'websocket';
+
+    const networkRequest = addEntry({
+      url: redactor.text(url),
+      method,
+      headers: redactor.headers(headers),
+      postData: redactor.text(postData),
+      resourceType,
+      timestamp: new Date().toISOString(),
+      startTime: Date.now(),
+      isWebSocketUpgrade
+    });
+    if (interceptions.has(request)) {
+      networkRequest.intercepted = interceptions.get(request);
+    }
+    entries.set(request, networkRequest);
+
+    // Link the redirect chain in both directions
+    const previous = entries.get(request.redirectedFrom());
+    if (previous) {
+      networkRequest.redirectedFrom = previous.id;
+      previous.redirectedTo = networkRequest.id;
+    }
+
+    session.emit('request', toNetworkEntry(networkRequest));
+  });
+
+  page.on('response', (response) => {
+    const networkRequest = entries.get(response.request());
+    if (!networkRequest) {
+      return;
+    }
+
+    const status = response.status();
+
+    // Provisional until the request finishes and browser timing is known
+    networkRequest.response = {
+      status,
+      statusText: response.statusText(),
+      headers: redactor.headers(response.headers()),
+      duration: Date.now() - networkRequest.startTime
+    };
+    session.emit('response', toNetworkEntry(networkRequest));
+
+    // Redirects have no body to read
+    if (options.responseBodies && (status < 300 || status >= 400)) {
+      const pending = readResponseBody(response, options.maxBodySize)
+        .then((body) => {
+          networkRequest.response.body = body.encoding ? body : { ...body, text: redactor.text(body.text) };
+        })
+        .catch(() => {})
+        .finally(() => pendingBodies.delete(pending));
+      pendingBodies.add(pending);
+    }
+  });
+
+  // Browser-side timing is complete once the response body has arrived
+  page.on('requestfinished', (request) => {
+    const networkRequest = entries.get(request);
+    if (!networkRequest) {
+      return;
+    }
+
+    networkRequest.timing = toTimingPhases(request.timing());
+    if (networkRequest.response && networkRequest.timing.total !== null) {
+      networkRequest.response.duration = Math.round(networkRequest.timing.total);
+    }
+  });
+
+  page.on('requestfailed', (request) => {
+    const failure = request.failure();
+
+    // Store failed request for later display
+    let networkRequest = entries.get(request);
+    if (networkRequest) {
+      networkRequest.failed = true;
+      networkRequest.failure = failure.errorText;
+    } else {
+      // If we never saw the request, create a new entry for the failed request
+      networkRequest = addEntry({
+        url: redactor.text(request.url()),
+        method: request.method(),
+        headers: redactor.headers(request.headers()),
+        postData: redactor.text(request.postData()),
+        resourceType: request.resourceType(),
+        failed: true,
+        failure: failure.errorText,
+        timestamp: new Date().toISOString(),
+        startTime: Date.now()
+      });
+      if (interceptions.has(request)) {
+        networkRequest.intercepted = interceptions.get(request);
+      }
+    }
+    networkRequest.timing = toTimingPhases(request.timing());
+    session.emit('requestfailed', toNetworkEntry(networkRequest));
+  });
+
+  // WebSocket capture is built on the DevTools protocol
+  if (supportsCdp(session.browserName)) {
+    await trackWebSockets(page, options, {
+      redactor,
+      addEntry,
+      emitEntry: (event, networkRequest) => session.emit(event, toNetworkEntry(networkRequest))
+    });
+  }
+
+  return {
+    settle: () => Promise.allSettled(pendingBodies),
+
+    markIntercepted(request, interception) {
+      interceptions.set(request, interception);
+      const networkRequest = entries.get(request);
+      if (networkRequest) {
+        networkRequest.intercepted = interception;
+      }
+    }
+  };
+}
@@ -0,0 +1,205 @@
+import { supportsCdp } from './browsers.js';
+
+// Performance metrics (--perf, --budget). Observers injected before the page
+// loads record the Web Vitals (LCP, CLS, INP, FID), paint and navigation
+// timing (FCP, TTFB) and long tasks; memory comes from the DevTools protocol.
+// Budgets turn metrics over a limit into a failing exit code.
+
+// Exit code when a metric is over its budget, after the baseline code
+export const PERF_BUDGET_EXIT_CODE = 17;
+
+// Metrics a budget can limit, with the unit its limit is given in
+export const BUDGET_METRICS = {
+  lcp: { unit: 'ms', description: 'Largest Contentful Paint' },
+  fcp: { unit: 'ms', description: 'First Contentful Paint' },
+  ttfb: { unit: 'ms', description: 'Time to First Byte' },
+  cls: { unit: '', description: 'Cumulative Layout Shift' },
+  inp: { unit: 'ms', description: 'Interaction to Next Paint' },
+  fid: { unit: 'ms', description: 'First Input Delay' },
+  tbt: { unit: 'ms', description: 'Total Blocking Time' },
+  'long-tasks': { unit: '', description: 'long tasks' },
+  heap: { unit: 'MB', description: 'JS heap used' }
+};
+
+// Tasks longer than this block the main thread
+const LONG_TASK_MS = 50;
+
+// Long tasks listed one by one in the report; the totals count them all
+const MAX_LISTED_TASKS = 20;
+
+// Layout shifts less than a second apart, over at most five seconds, form
+// one session window; CLS is the largest window
+const SHIFT_GAP_MS = 1000;
+const SHIFT_WINDOW_MS = 5000;
+
+// Where the injected observers keep what they recorded
+const PERF_GLOBAL = '__browserConsoleTapPerf';
+
+// Parse "lcp=2500,cls=0.1" (or an object of metrics to limits) into
+// `{ metric, max }` budgets
+export function parseBudget(value) {
+  const entries = typeof value === 'object' && !Array.isArray(value)
+    ? Object.entries(value)
+    : [].concat(value).join(',').split(',').map(pair => pair.trim()).filter(Boolean).map(pair => pair.split('='));
+
+  return entries.map(([metric, max]) => {
+    const name = String(metric).trim().toLowerCase();
+    const limit = parseFloat(max);
+    if (!BUDGET_METRICS[name] || isNaN(limit) || limit < 0) {
+      throw new Error(`Invalid budget "${metric}=${max}". Must be metric=limit pairs with metrics from: ${Object.keys(BUDGET_METRICS).join(', ')}.`);
+    }
+    return { metric: name, max: limit };
+  });
+}
+
+// Runs in the page before any of its scripts. Observers that an engine
+// doesn't support are skipped, leaving their metrics unmeasured.
+function observePerformance({ key, shiftGap, shiftWindow }) {
+  const perf = { lcp: null, cls: 0, fid: null, interactions: {}, longTasks: [] };
+  let session = { value: 0, first: 0, last: 0 };
+  globalThis[key] = perf;
+
+  const observe = (type, record, options = {}) => {
+    try {
+      new globalThis.PerformanceObserver(list => list.getEntries().forEach(record)).observe({ type, buffered: true, ...options });
+    } catch {
+      // Not supported by this engine
+    }
+  };
+
+  observe('largest-contentful-paint', (entry) => {
+    perf.lcp = entry.startTime;
+  });
+  observe('layout-shift', (entry) => {
+    // Shifts right after user input are expected
+    if (entry.hadRecentInput) {
+      return;
+    }
+    if (session.value > 0 && entry.startTime - session.last < shiftGap && entry.startTime - session.first < shiftWindow) {
+      session.value += entry.value;
+      session.last = entry.startTime;
+    } else {
+      session = { value: entry.value, first: entry.startTime, last: entry.startTime };
+    }
+    perf.cls = Math.max(perf.cls, session.value);
+  });
+  // The longest event of each interaction is how long it took to paint
+  const interaction = (entry) => {
+    if (entry.interactionId) {
+      perf.interactions[entry.interactionId] = Math.max(perf.interactions[entry.interactionId] || 0, entry.duration);
+    }
+  };
+  observe('first-input', (entry) => {
+    perf.fid = entry.processingStart - entry.startTime;
+    interaction(entry);
+  });
+  observe('event', interaction, { durationThreshold: 16 });
+  observe('longtask', (entry) => {
+    perf.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+  });
+}
+
+// Inject the observers into the page (and the pages it navigates to)
+export async function installPerfObservers(page) {
+  await page.addInitScript(observePerformance, { key: PERF_GLOBAL, shiftGap: SHIFT_GAP_MS, shiftWindow: SHIFT_WINDOW_MS });
+}
+
+// Interaction to Next Paint: the slowest interaction, skipping one of the
+// slowest for every 50 so a single outlier on a busy page doesn't count
+function interactionToNextPaint(durations) {
+  if (durations.length === 0) {
+    return null;
+  }
+  const sorted = [...durations].sort((a, b) => b - a);
+  return sorted[Math.min(Math.floor(durations.length / 50), sorted.length - 1)];
+}
+
+// Memory use from the DevTools protocol, or from performance.memory
+async function collectMemory(page, browserName, pageMemory) {
+  if (supportsCdp(browserName)) {
+    // Left attached: detaching a page session clears its network emulation
+    const session = await page.context().newCDPSession(page);
+    await session.send('Performance.enable');
+    const { metrics } = await session.send('Performance.getMetrics');
+    const metric = name => (metrics.find(entry => entry.name === name) || {}).value ?? null;
+    return {
+      jsHeapUsed: metric('JSHeapUsedSize'),
+      jsHeapTotal: metric('JSHeapTotalSize'),
+      domNodes: metric('Nodes'),
+      documents: metric('Documents'),
+      eventListeners: metric('JSEventListeners')
+    };
+  }
+  return pageMemory;
+}
+
+const round = (value, digits = 0) => (value === null ? null : Number(value.toFixed(digits)));
+
+// Read the metrics the observers recorded on the page. Metrics the engine
+// or the page didn't produce, such as INP without any interactions, are null.
+export async function collectPerf(page, browserName) {
+  const recorded = await page.evaluate((key) => {
+    const { performance } = globalThis;
+    const perf = globalThis[key];
+    const [navigation] = performance.getEntriesByType('navigation');
+    const [fcp] = performance.getEntriesByName('first-contentful-paint');
+    const memory = performance.memory;
+    return {
+      perf: perf ? { ...perf, interactions: Object.values(perf.interactions) } : null,
+      ttfb: navigation ? navigation.responseStart : null,
+      fcp: fcp ? fcp.startTime : null,
+      supported: globalThis.PerformanceObserver.supportedEntryTypes,
+      memory: memory ? { jsHeapUsed: memory.usedJSHeapSize, jsHeapTotal: memory.totalJSHeapSize } : null
+    };
+  }, PERF_GLOBAL);
+
+  const perf = recorded.perf || { lcp: null, cls: 0, fid: null, interactions: [], longTasks: [] };
+  const supports = type => recorded.supported.includes(type);
+  // Blocking time counts from the first paint, when the page starts to look usable
+  const blocking = perf.longTasks.filter(task => recorded.fcp === null || task.startTime >= recorded.fcp);
+  const longest = perf.longTasks.reduce((max, task) => Math.max(max, task.duration), 0);
+
+  return {
+    metrics: {
+      ttfb: round(recorded.ttfb),
+      fcp: round(recorded.fcp),
+      lcp: round(perf.lcp),
+      cls: supports('layout-shift') ? round(perf.cls, 4) : null,
+      inp: round(interactionToNextPaint(perf.interactions)),
+      fid: round(perf.fid, 1),
+      tbt: supports('longtask') ? round(blocking.reduce((total, task) => total + task.duration - LONG_TASK_MS, 0)) : null
+    },
+    longTasks: supports('longtask')
+      ? {
+          count: perf.longTasks.length,
+          totalMs: round(perf.longTasks.reduce((total, task) => total + task.duration, 0)),
+          longestMs: round(longest),
+          tasks: perf.longTasks.slice(0, MAX_LISTED_TASKS).map(task => ({ startTime: round(task.startTime), duration: round(task.duration) }))
+        }
+      : null,
+    memory: await collectMemory(page, browserName, recorded.memory),
+    budget: null
+  };
+}
+
+// Value of a budgeted metric in a perf report, or null if it wasn't measured
+function budgetValue(perf, metric) {
+  if (metric === 'long-tasks') {
+    return perf.longTasks ? perf.longTasks.count : null;
+  }
+  if (metric === 'heap') {
+    return perf.memory && perf.memory.jsHeapUsed !== null ? round(perf.memory.jsHeapUsed / (1024 * 1024), 1) : null;
+  }
+  return perf.metrics[metric];
+}
+
+// Check the metrics against the budgets. A metric that wasn't measured
+// can't exceed its budget; its check has `passed: null`.
+export function evaluateBudget(budgets, perf) {
+  const checks = budgets.map(({ metric, max }) => {
+    const value = budgetValue(perf, metric);
+    return { metric, value, max, unit: BUDGET_METRICS[metric].unit, passed: value === null ? null : value <= max };
+  });
+  const passed = checks.every(check => check.passed !== false);
+  return { passed, exitCode: passed ? 0 : PERF_BUDGET_EXIT_CODE, checks };
+}
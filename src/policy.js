@@ -0,0 +1,90 @@
+// Failure rules for --fail-on. Each rule counts the matching events in a
+// capture and has its own exit code, so CI can tell which category tripped.
+// Exit code 1 stays reserved for tool errors (bad options, navigation failures).
+// Console rules count every message, including those --levels, --include and
+// --exclude hide, so a display filter can't switch a rule off.
+export const FAIL_RULES = {
+  error: {
+    exitCode: 10,
+    description: 'console errors',
+    count: ({ consoleCounts }) => consoleCounts.error || 0
+  },
+  warning: {
+    exitCode: 11,
+    description: 'console warnings',
+    count: ({ consoleCounts }) => consoleCounts.warning || 0
+  },
+  pageerror: {
+    exitCode: 12,
+    description: 'uncaught page errors',
+    count: ({ pageErrors }) => pageErrors.length
+  },
+  requestfailed: {
+    exitCode: 13,
+    description: 'failed requests',
+    network: true,
+    // Requests aborted by --block are intended, not failures
+    count: ({ networkRequests }) => networkRequests.filter(req => req.failed && !isBlocked(req)).length
+  },
+  'http-4xx': {
+    exitCode: 14,
+    description: 'HTTP 4xx responses',
+    network: true,
+    count: ({ networkRequests }) => networkRequests.filter(req => isStatusInRange(req, 400)).length
+  },
+  'http-5xx': {
+    exitCode: 15,
+    description: 'HTTP 5xx responses',
+    network: true,
+    count: ({ networkRequests }) => networkRequests.filter(req => isStatusInRange(req, 500)).length
+  }
+};
+
+function isBlocked(req) {
+  return Boolean(req.intercepted && req.intercepted.action === 'blocked');
+}
+
+function isStatusInRange(req, floor) {
+  const status = req.response && req.response.status;
+  return typeof status === 'number' && status >= floor && status < floor + 100;
+}
+
+// Parse a comma-separated --fail-on value into a list of rule names
+export function parseFailOn(value) {
+  const rules = value.split(',').map(rule => rule.trim()).filter(Boolean);
+  const unknown = rules.filter(rule => !FAIL_RULES[rule]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown rule(s): ${unknown.join(', ')}`);
+  }
+  return [...new Set(rules)];
+}
+
+// Whether any of the rules needs network data to be collected
+export function policyNeedsNetwork(rules) {
+  return rules.some(rule => FAIL_RULES[rule].network);
+}
+
+// Evaluate the rules against a finished capture. A rule trips when its count
+// exceeds maxErrors; the exit code is the one of the first tripped rule.
+export function evaluatePolicy(rules, maxErrors, capture) {
+  const results = rules.map(rule => {
+    const { exitCode, description, count } = FAIL_RULES[rule];
+    const actual = count({ ...capture, networkRequests: capture.networkRequests || [] });
+    return {
+      rule,
+      description,
+      count: actual,
+      max: maxErrors,
+      exitCode,
+      tripped: actual > maxErrors
+    };
+  });
+
+  const tripped = results.filter(result => result.tripped);
+
+  return {
+    passed: tripped.length === 0,
+    exitCode: tripped.length > 0 ? tripped[0].exitCode : 0,
+    rules: results
+  };
+}
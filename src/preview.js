@@ -0,0 +1,435 @@
+// Console arguments as DevTools shows them, built from DevTools protocol
+// Runtime.RemoteObject values. `renderConsoleText` gives the one-line text of
+// a console call (with %s/%d/%i/%f/%o/%O/%c applied) and `serializeArgument`
+// gives a JSON-safe structured copy of one argument.
+
+// Structured copies stop expanding objects this many levels down by default
+export const DEFAULT_ARG_DEPTH = 3;
+
+// Properties, items or entries kept per object
+const MAX_PROPERTIES = 100;
+
+// Characters kept per string
+const MAX_STRING_LENGTH = 10000;
+
+const FORMAT_SPECIFIER = /%([%sdifoOc])/g;
+
+// Opening tag of an element, or the text of a text node
+async function describeNode(cdp, object) {
+  try {
+    const { result } = await cdp.send('Runtime.callFunctionOn', {
+      objectId: object.objectId,
+      functionDeclaration: `function() {
+        if (this.nodeType === Node.ELEMENT_NODE) {
+          const html = this.outerHTML;
+          return html.slice(0, html.indexOf('>') + 1);
+        }
+        return this.nodeType === Node.TEXT_NODE ? JSON.stringify(this.textContent) : this.nodeName;
+      }`,
+      returnByValue: true
+    });
+    return result.value;
+  } catch {
+    return object.description;
+  }
+}
+
+// "ƒ name()" for a function's source text
+function describeFunction(description = '') {
+  const match = description.match(/^(?:async\s+)?(?:function\s*\*?\s*([\w$]*)|([\w$]+)\s*\()/);
+  const name = match ? match[1] || match[2] : '';
+  return `ƒ ${name || 'anonymous'}()`;
+}
+
+// Nested value inside an object preview, as in `{a: 1, b: {…}}`
+function renderPropertyPreview(property) {
+  switch (property.type) {
+    case 'string':
+      return `'${property.value}'`;
+    case 'function':
+      return 'ƒ';
+    case 'object':
+      if (property.subtype === 'null') {
+        return 'null';
+      }
+      if (!property.subtype && property.value === 'Object') {
+        return '{…}';
+      }
+      return property.value;
+    default:
+      return property.value;
+  }
+}
+
+// Map/Set entry key or value inside a preview
+function renderEntryPreview(preview) {
+  if (preview.type === 'string') {
+    return `'${preview.description}'`;
+  }
+  if (preview.type === 'object' && preview.properties) {
+    // Entry previews have no class name; their description is one
+    return renderObjectPreview({ subtype: preview.subtype, description: preview.description, className: preview.description, preview });
+  }
+  return preview.description;
+}
+
+// The length in "Array(3)" or "Map(2)"
+function sizeOf(description) {
+  const match = description.match(/\((\d+)\)/);
+  return match ? match[1] : '';
+}
+
+// Array items inside a preview, with runs of holes shown as DevTools does:
+// `[1, empty × 2, 4]`. Trailing holes are only known when nothing was cut off.
+function renderArrayItems(properties, length, overflow) {
+  const items = [];
+  let next = 0;
+  const holesUntil = (index) => {
+    const holes = index - next;
+    if (holes > 0) {
+      items.push(holes === 1 ? 'empty' : `empty × ${holes}`);
+    }
+  };
+
+  for (const property of properties) {
+    if (/^\d+$/.test(property.name)) {
+      holesUntil(Number(property.name));
+      next = Number(property.name) + 1;
+    }
+    items.push(renderPropertyPreview(property));
+  }
+  if (!overflow) {
+    holesUntil(length);
+  }
+  return items.join(', ');
+}
+
+// One-line rendering of an object from its preview
+function renderObjectPreview(object) {
+  const { preview } = object;
+  if (!preview) {
+    return object.description;
+  }
+
+  const overflow = preview.overflow ? ', …' : '';
+
+  if (object.subtype === 'array' || object.subtype === 'typedarray') {
+    const items = renderArrayItems(preview.properties, Number(sizeOf(object.description)), preview.overflow);
+    const prefix = object.subtype === 'array' ? `(${sizeOf(object.description)})` : object.description;
+    return `${prefix} [${items}${overflow}]`;
+  }
+
+  if (object.subtype === 'map' || object.subtype === 'set') {
+    const entries = (preview.entries || []).map(entry => (entry.key
+      ? `${renderEntryPreview(entry.key)} => ${renderEntryPreview(entry.value)}`
+      : renderEntryPreview(entry.value)));
+    return `${object.description} {${entries.join(', ')}${overflow}}`;
+  }
+
+  const properties = preview.properties.map(property => `${property.name}: ${renderPropertyPreview(property)}`).join(', ');
+  const className = object.className && object.className !== 'Object' ? `${object.className} ` : '';
+  return `${className}{${properties}${overflow}}`;
+}
+
+// DevTools-style rendering of one console argument. Strings print as they
+// are unless they sit inside an object.
+export async function renderArgument(cdp, object) {
+  switch (object.type) {
+    case 'string':
+      return object.value;
+    case 'number':
+    case 'bigint':
+      return 'value' in object ? String(object.value) : object.unserializableValue;
+    case 'boolean':
+      return String(object.value);
+    case 'undefined':
+      return 'undefined';
+    case 'symbol':
+      return object.description;
+    case 'function':
+      return describeFunction(object.description);
+  }
+
+  switch (object.subtype) {
+    case 'null':
+      return 'null';
+    case 'node':
+      return describeNode(cdp, object);
+    case 'error':
+    case 'regexp':
+    case 'date':
+      return object.description;
+    default:
+      return renderObjectPreview(object);
+  }
+}
+
+// Numeric value of an argument for %d/%i/%f
+function toNumber(object) {
+  if (object.type === 'number') {
+    return 'value' in object ? object.value : Number(object.unserializableValue);
+  }
+  if (object.type === 'string') {
+    return parseFloat(object.value);
+  }
+  return NaN;
+}
+
+// Text of a console call: format specifiers in a leading string are filled
+// from the arguments after it, the rest are appended with spaces. %c styles
+// are dropped.
+export async function renderConsoleText(cdp, args) {
+  const remaining = [...args];
+  const parts = [];
+
+  if (remaining.length > 0 && remaining[0].type === 'string') {
+    const format = remaining.shift().value;
+    let text = '';
+    let last = 0;
+
+    for (const match of format.matchAll(FORMAT_SPECIFIER)) {
+      text += format.slice(last, match.index);
+      last = match.index + match[0].length;
+
+      const specifier = match[1];
+      if (specifier === '%') {
+        text += '%';
+        continue;
+      }
+      if (remaining.length === 0) {
+        text += match[0];
+        continue;
+      }
+
+      const arg = remaining.shift();
+      if (specifier === 'd' || specifier === 'i') {
+        text += String(Math.trunc(toNumber(arg)));
+      } else if (specifier === 'f') {
+        text += String(toNumber(arg));
+      } else if (specifier !== 'c') {
+        text += await renderArgument(cdp, arg);
+      }
+    }
+
+    parts.push(text + format.slice(last));
+  }
+
+  for (const arg of remaining) {
+    parts.push(await renderArgument(cdp, arg));
+  }
+  return parts.join(' ');
+}
+
+// Stand-in for a value JSON cannot hold
+function described(type, description) {
+  return { '@type': type, description };
+}
+
+function truncateString(value) {
+  return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+}
+
+// Runs in the page on the object being copied: its first `max` items, entries
+// or own enumerable data properties, and how many there are in all. Only that
+// slice crosses the protocol. Array items keep their index so holes show, and
+// Map keys come apart from their values. Getters and proxy traps never run.
+const SLICE_FUNCTION = `function(subtype, max) {
+  const values = Object.create(null);
+  const dataDescriptor = (key) => {
+    const descriptor = Object.getOwnPropertyDescriptor(this, key);
+    return descriptor && descriptor.enumerable && 'value' in descriptor ? descriptor : null;
+  };
+
+  if (subtype === 'map' || subtype === 'set') {
+    const keys = [];
+    const list = [];
+    const iterator = subtype === 'map' ? Map.prototype.entries.call(this) : Set.prototype.values.call(this);
+    for (const entry of iterator) {
+      if (list.length === max) {
+        break;
+      }
+      if (subtype === 'map') {
+        keys.push(entry[0]);
+        list.push(entry[1]);
+      } else {
+        list.push(entry);
+      }
+    }
+    return { total: this.size, keys, values: list };
+  }
+
+  if (subtype === 'proxy') {
+    return { total: 0, values };
+  }
+
+  if (subtype === 'array' || subtype === 'typedarray') {
+    for (let index = 0; index < Math.min(this.length, max); index++) {
+      const descriptor = dataDescriptor(index);
+      if (descriptor) {
+        values[index] = descriptor.value;
+      }
+    }
+    return { total: this.length, values };
+  }
+
+  let total = 0;
+  for (const key of Object.keys(this)) {
+    const descriptor = dataDescriptor(key);
+    if (descriptor) {
+      if (total < max) {
+        values[key] = descriptor.value;
+      }
+      total++;
+    }
+  }
+  return { total, values };
+}`;
+
+// Own enumerable data properties of a remote object
+async function getProperties(cdp, object) {
+  const { result } = await cdp.send('Runtime.getProperties', {
+    objectId: object.objectId,
+    ownProperties: true
+  });
+  return result.filter(property => property.enumerable && 'value' in property);
+}
+
+// The first MAX_PROPERTIES items, entries or properties of a remote object.
+// Objects it hands back belong to `objectGroup`.
+async function sliceObject(cdp, object, objectGroup) {
+  const { result, exceptionDetails } = await cdp.send('Runtime.callFunctionOn', {
+    objectId: object.objectId,
+    functionDeclaration: SLICE_FUNCTION,
+    arguments: [{ value: object.subtype }, { value: MAX_PROPERTIES }],
+    objectGroup
+  });
+  if (exceptionDetails) {
+    return null;
+  }
+
+  const fields = new Map((await getProperties(cdp, result)).map(property => [property.name, property.value]));
+  return {
+    total: fields.get('total').value,
+    keys: fields.has('keys') ? await getProperties(cdp, fields.get('keys')) : [],
+    values: await getProperties(cdp, fields.get('values'))
+  };
+}
+
+// Whether an object is one of the objects it is nested in. Every reference
+// to an object gets an objectId of its own, so the page compares them.
+async function isCircular(cdp, object, ancestors) {
+  if (ancestors.length === 0) {
+    return false;
+  }
+  try {
+    const { result } = await cdp.send('Runtime.callFunctionOn', {
+      objectId: object.objectId,
+      functionDeclaration: 'function(...ancestors) { return ancestors.includes(this); }',
+      arguments: ancestors.map(ancestor => ({ objectId: ancestor.objectId })),
+      returnByValue: true
+    });
+    return result.value === true;
+  } catch {
+    return false;
+  }
+}
+
+// Console calls are copied concurrently, so each copy gets a group of its own
+let objectGroups = 0;
+
+// JSON-safe copy of a console argument. Strings, numbers, booleans, null,
+// plain objects and arrays keep their JSON form; everything else becomes an
+// `{ "@type", "description" }` object (with `entries` for a Map and `values`
+// for a Set). Objects deeper than `depth` are left as `{ "@type": "truncated" }`,
+// references back to an enclosing object as `{ "@type": "circular" }` and
+// holes in sparse arrays as `{ "@type": "empty" }`. Remote objects made along
+// the way are released once the copy is done.
+export async function serializeArgument(cdp, object, depth = DEFAULT_ARG_DEPTH) {
+  const objectGroup = `browser-console-tap-args-${++objectGroups}`;
+  try {
+    return await serializeValue(cdp, object, depth, [], objectGroup);
+  } finally {
+    await cdp.send('Runtime.releaseObjectGroup', { objectGroup }).catch(() => {});
+  }
+}
+
+async function serializeValue(cdp, object, depth, ancestors, objectGroup) {
+  switch (object.type) {
+    case 'string':
+      return truncateString(object.value);
+    case 'number':
+      return 'value' in object ? object.value : described('number', object.unserializableValue);
+    case 'boolean':
+      return object.value;
+    case 'undefined':
+      return described('undefined', 'undefined');
+    case 'bigint':
+      return described('bigint', object.unserializableValue);
+    case 'symbol':
+      return described('symbol', object.description);
+    case 'function':
+      return described('function', describeFunction(object.description));
+  }
+
+  switch (object.subtype) {
+    case 'null':
+      return null;
+    case 'node':
+      return described('node', await describeNode(cdp, object));
+    case 'error':
+    case 'regexp':
+    case 'date':
+      return described(object.subtype, object.description);
+  }
+
+  if (depth <= 0 || !object.objectId) {
+    return described('truncated', object.description);
+  }
+
+  if (await isCircular(cdp, object, ancestors)) {
+    return described('circular', '[Circular]');
+  }
+
+  const slice = await sliceObject(cdp, object, objectGroup);
+  if (!slice) {
+    return described('truncated', object.description);
+  }
+  const path = [...ancestors, object];
+  const serialize = value => (value ? serializeValue(cdp, value, depth - 1, path, objectGroup) : described('undefined', 'undefined'));
+
+  if (object.subtype === 'map') {
+    return {
+      '@type': 'map',
+      description: object.description,
+      entries: await Promise.all(slice.values.map(async (entry, index) => [await serialize(slice.keys[index].value), await serialize(entry.value)]))
+    };
+  }
+
+  if (object.subtype === 'set') {
+    return {
+      '@type': 'set',
+      description: object.description,
+      values: await Promise.all(slice.values.map(entry => serialize(entry.value)))
+    };
+  }
+
+  if (object.subtype === 'array' || object.subtype === 'typedarray') {
+    // Indexes that hold no item are holes, so the copy keeps the array's length
+    const items = new Map(slice.values.map(property => [Number(property.name), property.value]));
+    const indexes = Array.from({ length: Math.min(slice.total, MAX_PROPERTIES) }, (_, index) => index);
+    const values = await Promise.all(indexes.map(index => (items.has(index) ? serialize(items.get(index)) : described('empty', 'empty'))));
+    if (slice.total > MAX_PROPERTIES) {
+      values.push(described('truncated', `… ${slice.total - MAX_PROPERTIES} more items`));
+    }
+    return values;
+  }
+
+  const copy = {};
+  for (const property of slice.values) {
+    copy[property.name] = await serialize(property.value);
+  }
+  if (slice.total > MAX_PROPERTIES) {
+    copy['…'] = `${slice.total - MAX_PROPERTIES} more properties`;
+  }
+  return copy;
+}
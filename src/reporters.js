@@ -0,0 +1,908 @@
+import chalk from 'chalk';
+import { SESSION_EVENTS } from './tap.js';
+import { formatLocation, formatStack } from './stack.js';
+import { describeThrottle } from './throttle.js';
+import { describeEmulation } from './emulation.js';
+
+export const FORMATS = ['pretty', 'json', 'ndjson'];
+
+// Helper function to truncate long values
+export function truncateValue(value, maxLength = 512) {
+  if (typeof value !== 'string') {
+    value = String(value);
+  }
+  if (value.length <= maxLength) {
+    return value;
+  }
+  return `${value.substring(0, maxLength)}...`;
+}
+
+// Helper function to format headers for display
+export function formatHeaders(headers, maxLength = 512) {
+  if (!headers || Object.keys(headers).length === 0) {
+    return '{}';
+  }
+
+  const formatted = {};
+  for (const [key, value] of Object.entries(headers)) {
+    formatted[key] = truncateValue(value, maxLength);
+  }
+  return JSON.stringify(formatted, null, 2);
+}
+
+// Helper function to format request timing phases for display
+export function formatTiming(timing) {
+  if (!timing) {
+    return '';
+  }
+
+  const labels = { dns: 'dns', connect: 'connect', tls: 'tls', ttfb: 'ttfb', download: 'download' };
+  return Object.entries(labels)
+    .filter(([key]) => timing[key] !== null)
+    .map(([key, label]) => `${label} ${timing[key]}ms`)
+    .join(' · ');
+}
+
+// Helper function to describe where a request sits in a redirect chain
+function formatRedirects(req) {
+  const parts = [];
+  if (req.redirectedFrom) {
+    parts.push(`redirected from #${req.redirectedFrom}`);
+  }
+  if (req.redirectedTo) {
+    parts.push(`redirects to #${req.redirectedTo}`);
+  }
+  return parts.join(', ');
+}
+
+// Helper function to list the authentication in use, without secrets
+function describeAuthBanner(auth) {
+  const parts = [
+    auth.cookies > 0 && `${auth.cookies} cookies`,
+    auth.storageState && `storage state ${auth.storageState}`,
+    auth.loginScript && `login script ${auth.loginScript}`,
+    auth.httpCredentials && `HTTP credentials for ${auth.httpCredentials}`,
+    auth.clientCertificates.length > 0 && `client certificates for ${auth.clientCertificates.join(', ')}`,
+    auth.originHeaders.length > 0 && `headers for ${auth.originHeaders.join(', ')}`
+  ];
+  return parts.filter(Boolean).join(', ');
+}
+
+// Screenshots, DOM snapshots, trace and video written for the capture
+function printArtifacts(artifacts, out) {
+  if (artifacts.length === 0) {
+    return;
+  }
+  out.log(chalk.blue('\n📎 Artifacts:'));
+  artifacts.forEach((artifact) => {
+    const when = artifact.when === 'end' ? 'at the end' : 'on page error';
+    out.log(chalk.gray(`   ${artifact.kind} ${when}: ${artifact.path}`));
+  });
+}
+
+// Where a message or page error came from, or '' for the page itself
+function formatTarget(target) {
+  if (!target || target.type === 'page') {
+    return '';
+  }
+  const name = target.type === 'popup' ? `popup #${target.id}` : target.type;
+  return chalk.gray(` [${name} ${target.url}]`);
+}
+
+// Helper function to describe how --block, --mock or --rewrite handled a request
+function formatInterception(interception) {
+  if (!interception) {
+    return '';
+  }
+  const verb = { blocked: 'blocked by', mocked: 'mocked by', rewritten: 'headers rewritten for' }[interception.action];
+  return `${verb} ${interception.rule}`;
+}
+
+// Helper function to summarize a WebSocket's traffic and how it closed
+function formatWebSocket(websocket) {
+  if (!websocket) {
+    return '';
+  }
+
+  const parts = [
+    `sent ${websocket.messagesSent} (${websocket.bytesSent} B)`,
+    `received ${websocket.messagesReceived} (${websocket.bytesReceived} B)`
+  ];
+  if (websocket.closeCode !== null) {
+    const reason = websocket.closeReason ? ` "${websocket.closeReason}"` : '';
+    parts.push(`closed ${websocket.closeCode}${reason}${websocket.wasClean ? '' : ' (unclean)'}`);
+  } else if (websocket.closed) {
+    parts.push('closed');
+  } else {
+    parts.push('open');
+  }
+  return parts.join(' · ');
+}
+
+// Pretty output color per console message type; anything else is green
+const CONSOLE_COLORS = {
+  error: 'red',
+  assert: 'red',
+  warning: 'yellow',
+  info: 'cyan',
+  debug: 'gray',
+  trace: 'magenta'
+};
+
+// Messages collapsed by --dedupe, most repeated first
+function printRepeats(messages, out) {
+  const repeated = messages.filter(msg => msg.count > 1).sort((a, b) => b.count - a.count);
+  out.log(chalk.blue(`\n🔁 Repeated messages:`));
+  repeated.forEach((msg) => {
+    const color = CONSOLE_COLORS[msg.type] || 'green';
+    out.log(chalk[color](`  x${msg.count} [console.${msg.type}] ${msg.text}`) + chalk.gray(` (${msg.firstTimestamp} → ${msg.lastTimestamp})`));
+  });
+}
+
+// Human-readable output: colored, emoji-decorated lines
+function createPrettyReporter(options) {
+  const out = options.out || console;
+
+  return {
+    start(meta) {
+      out.log(chalk.blue(`🚀 Starting browser-console-tap`));
+      out.log(chalk.gray(`URL: ${meta.url}`));
+      out.log(chalk.gray(`Delay: ${meta.delayMs}ms`));
+      out.log(chalk.gray(`Timeout: ${meta.timeoutMs}ms`));
+      out.log(chalk.gray(`Headless: ${meta.headless ? 'Yes' : 'No'}`));
+      if (meta.browser.name !== 'chromium') {
+        out.log(chalk.gray(`Browser: ${meta.browser.name}`));
+      }
+      if (meta.network) {
+        out.log(chalk.gray(`Network tracking: ${meta.network === 'verbose' ? 'Verbose' : 'Basic'}`));
+      }
+      if (meta.headers && Object.keys(meta.headers).length > 0) {
+        out.log(chalk.gray(`Headers: ${JSON.stringify(meta.headers)}`));
+      }
+      if (describeAuthBanner(meta.auth)) {
+        out.log(chalk.gray(`Auth: ${describeAuthBanner(meta.auth)}`));
+      }
+      if (describeEmulation(meta.emulation)) {
+        out.log(chalk.gray(`Emulation: ${describeEmulation(meta.emulation)}`));
+      }
+      if (meta.throttle) {
+        out.log(chalk.gray(`Network throttling: ${describeThrottle(meta.throttle)}`));
+      }
+      if (meta.cpuThrottle) {
+        out.log(chalk.gray(`CPU throttling: ${meta.cpuThrottle}x slowdown`));
+      }
+      const { block, mock, rewrite } = meta.interception;
+      if (block.length + mock.length + rewrite.length > 0) {
+        out.log(chalk.gray(`Interception: ${block.length} blocked, ${mock.length} mocked, ${rewrite.length} rewritten patterns`));
+      }
+      out.log('');
+    },
+
+    navigating(url) {
+      out.log(chalk.blue(`📄 Navigating to ${url}...`));
+    },
+
+    loaded({ delay, conditions, steps }) {
+      out.log(chalk.green(`✅ Page loaded successfully`));
+      const then = steps > 0 ? `Running ${steps} steps, then waiting` : 'Waiting';
+      if (conditions.length > 0) {
+        out.log(chalk.blue(`⏳ ${then} up to ${delay}ms for ${conditions.join(', ')}...`));
+      } else {
+        out.log(chalk.blue(`⏳ ${then} ${delay}ms for console activity...`));
+      }
+    },
+
+    step({ step, total, description }) {
+      out.log(chalk.blue(`👉 Step ${step}/${total}: ${description}`));
+    },
+
+    ready({ satisfied, waitedMs, unmet }) {
+      if (satisfied) {
+        out.log(chalk.green(`🟢 Ready after ${waitedMs}ms`));
+      } else {
+        out.log(chalk.yellow(`⚠️  Gave up waiting after ${waitedMs}ms; not met: ${unmet.join(', ')}`));
+      }
+    },
+
+    console(message) {
+      const typeColor = CONSOLE_COLORS[message.type] || 'green';
+      const location = message.location ? chalk.gray(` (${formatLocation(message.location)})`) : '';
+      out.log(chalk[typeColor](`[console.${message.type}] ${message.text}`) + formatTarget(message.target) + location);
+      if (message.frames) {
+        out.log(chalk.gray(formatStack(message.frames)));
+      }
+    },
+
+    pageerror(pageError) {
+      out.error(chalk.red(`[pageerror] ${pageError.name}: ${pageError.message}`) + formatTarget(pageError.target));
+      if (pageError.frames.length > 0) {
+        out.error(chalk.gray(formatStack(pageError.frames)));
+      }
+    },
+
+    request() {},
+
+    response() {},
+
+    requestfailed(req) {
+      if (options.verbose && !options.network) {
+        out.error(chalk.red(`[requestfailed] ${req.url} - ${req.failure}`));
+      }
+    },
+
+    websocket() {},
+
+    warning(warning) {
+      out.log(chalk.yellow(`Warning: ${warning.message}`));
+    },
+
+    complete(result) {
+      out.log(chalk.green(`✅ Capture complete!`));
+      out.log(chalk.gray(`📊 Captured ${result.console.length} console messages`));
+      if (result.summary.filteredMessages) {
+        out.log(chalk.gray(`🔇 Filtered out ${result.summary.filteredMessages} console messages`));
+      }
+      if (result.summary.repeatedMessages) {
+        printRepeats(result.console, out);
+      }
+
+      if (options.network && result.network) {
+        printNetworkSummary(result.network, options, out);
+      }
+
+      if (result.policy) {
+        printPolicy(result.policy, out);
+      }
+
+      if (result.baseline) {
+        printBaseline(result.baseline, out);
+      }
+
+      if (result.perf) {
+        printPerf(result.perf, out);
+      }
+
+      if (result.audit && result.audit.security) {
+        printSecurityAudit(result.audit.security, out);
+      }
+
+      if (result.artifacts) {
+        printArtifacts(result.artifacts, out);
+      }
+    },
+
+    error(error) {
+      out.error(chalk.red(`❌ Error: ${error.message}`));
+
+      if (options.verbose) {
+        out.error(chalk.gray(error.stack));
+      }
+    },
+
+    close({ shared }) {
+      // A page in a multi-URL run only closes its own context
+      if (!shared) {
+        out.log(chalk.blue(`🔚 Browser closed`));
+      }
+    }
+  };
+}
+
+function printNetworkSummary(networkRequests, options, out) {
+  const successfulRequests = networkRequests.filter(req => req.response);
+  const failedRequests = networkRequests.filter(req => req.failed);
+  const pendingRequests = networkRequests.filter(req => !req.response && !req.failed);
+
+  out.log(chalk.gray(`🌐 Network: ${successfulRequests.length} successful, ${failedRequests.length} failed, ${pendingRequests.length} pending requests`));
+
+  // Highlight network issues
+  if (failedRequests.length > 0 || pendingRequests.length > 0) {
+    out.log(chalk.yellow(`⚠️  Network Issues Detected:`));
+
+    if (failedRequests.length > 0) {
+      out.log(chalk.red(`   ${failedRequests.length} failed requests:`));
+      failedRequests.forEach((req, index) => {
+        const intercepted = req.intercepted ? chalk.gray(` [${formatInterception(req.intercepted)}]`) : '';
+        out.log(chalk.red(`     ${index + 1}. ${req.method} ${req.url} - ${req.failure}`) + intercepted);
+      });
+    }
+
+    if (pendingRequests.length > 0) {
+      out.log(chalk.yellow(`   ${pendingRequests.length} pending requests (no response received):`));
+      pendingRequests.forEach((req, index) => {
+        const duration = Date.now() - Date.parse(req.timestamp);
+        out.log(chalk.yellow(`     ${index + 1}. ${req.method} ${req.url} - Pending for ${duration}ms`));
+      });
+    }
+
+    // Network diagnostics
+    out.log(chalk.blue(`\n🔍 Network Diagnostics:`));
+
+    // Check for common patterns
+    const pendingScripts = pendingRequests.filter(req => req.resourceType === 'script');
+    const pendingStylesheets = pendingRequests.filter(req => req.resourceType === 'stylesheet');
+    const pendingImages = pendingRequests.filter(req => req.resourceType === 'image');
+
+    if (pendingScripts.length > 0) {
+      out.log(chalk.yellow(`   ⚠️  ${pendingScripts.length} JavaScript files pending - may cause page functionality issues`));
+    }
+
+    if (pendingStylesheets.length > 0) {
+      out.log(chalk.yellow(`   ⚠️  ${pendingStylesheets.length} CSS files pending - may cause styling issues`));
+    }
+
+    if (pendingImages.length > 0) {
+      out.log(chalk.yellow(`   ⚠️  ${pendingImages.length} images pending - may cause visual issues`));
+    }
+
+    // Check for timeout patterns
+    const longPendingRequests = pendingRequests.filter(req => {
+      const duration = Date.now() - Date.parse(req.timestamp);
+      return duration > 5000; // More than 5 seconds
+    });
+
+    if (longPendingRequests.length > 0) {
+      out.log(chalk.red(`   🚨 ${longPendingRequests.length} requests pending for >5 seconds - possible network connectivity issues`));
+    }
+
+    // Check for domain-specific issues
+    const domains = [...new Set(pendingRequests.map(req => new URL(req.url).hostname))];
+    if (domains.length > 1) {
+      out.log(chalk.yellow(`   📡 Pending requests span ${domains.length} different domains`));
+    }
+  }
+
+  // Display network requests after timeout
+  if (options.network === 'verbose' && networkRequests.length > 0) {
+    out.log(chalk.blue(`\n📋 Network Requests (collected during timeout):`));
+    networkRequests.forEach((req, index) => {
+      const { url, method, headers, postData, response, failed, failure, resourceType, isWebSocket, isWebSocketUpgrade } = req;
+
+      let requestType = method;
+      if (isWebSocket) {
+        requestType = 'WEBSOCKET';
+      } else if (isWebSocketUpgrade) {
+        requestType = 'WEBSOCKET_UPGRADE';
+      }
+
+      out.log(chalk.cyan(`\n${index + 1}. [REQUEST] ${requestType} ${url}`));
+      if (resourceType) {
+        out.log(chalk.gray(`   Resource Type: ${resourceType}`));
+      }
+      if (isWebSocketUpgrade) {
+        out.log(chalk.blue(`   WebSocket Upgrade Request`));
+      }
+      out.log(chalk.gray(`   Headers: ${formatHeaders(headers)}`));
+      if (postData) {
+        out.log(chalk.gray(`   Post Data: ${truncateValue(postData)}`));
+      }
+      if (formatRedirects(req)) {
+        out.log(chalk.yellow(`   Redirect: ${formatRedirects(req)}`));
+      }
+      if (req.intercepted) {
+        out.log(chalk.magenta(`   Intercepted: ${formatInterception(req.intercepted)}`));
+      }
+
+      if (response) {
+        // Determine status color
+        let statusColor = 'green';
+        if (response.status >= 400) statusColor = 'red';
+        else if (response.status >= 300) statusColor = 'yellow';
+
+        out.log(chalk[statusColor](`   [RESPONSE] ${response.status} (${response.duration}ms)`));
+        if (formatTiming(req.timing)) {
+          out.log(chalk.gray(`   Timing: ${formatTiming(req.timing)}`));
+        }
+        out.log(chalk.gray(`   Response Headers: ${formatHeaders(response.headers)}`));
+      } else if (failed) {
+        out.log(chalk.red(`   [FAILED] ${failure}`));
+      } else {
+        out.log(chalk.yellow(`   [PENDING] No response received`));
+      }
+
+      if (req.websocket) {
+        out.log(chalk.blue(`   WebSocket: ${formatWebSocket(req.websocket)}`));
+        (req.websocket.frames || []).forEach(frame => {
+          const arrow = frame.direction === 'sent' ? '→' : '←';
+          const payload = frame.opcode === 2 ? `[binary ${frame.size} B]` : truncateValue(frame.payload);
+          out.log(chalk.gray(`     ${arrow} ${payload}`));
+        });
+        if (req.websocket.framesDropped > 0) {
+          out.log(chalk.gray(`     ... ${req.websocket.framesDropped} more frames not kept`));
+        }
+      }
+    });
+  } else if (options.network && networkRequests.length > 0) {
+    out.log(chalk.blue(`\n📋 Network Summary:`));
+    networkRequests.forEach((req, index) => {
+      const { url, method, response, failed, failure, isWebSocket } = req;
+      const requestType = isWebSocket ? 'WEBSOCKET' : method;
+      if (response) {
+        const statusColor = response.status >= 400 ? 'red' : response.status >= 300 ? 'yellow' : 'green';
+        const details = [formatTiming(req.timing), formatRedirects(req), formatWebSocket(req.websocket), formatInterception(req.intercepted)]
+          .filter(Boolean).join(', ');
+        const suffix = details ? chalk.gray(` [${details}]`) : '';
+        out.log(chalk[statusColor](`  ${index + 1}. ${requestType} ${url} - ${response.status} (${response.duration}ms)`) + suffix);
+      } else if (failed) {
+        const intercepted = req.intercepted ? chalk.gray(` [${formatInterception(req.intercepted)}]`) : '';
+        out.log(chalk.red(`  ${index + 1}. ${requestType} ${url} - FAILED: ${failure}`) + intercepted);
+      } else {
+        out.log(chalk.yellow(`  ${index + 1}. ${requestType} ${url} - PENDING`));
+      }
+    });
+  }
+}
+
+function printPolicy(policy, out) {
+  if (policy.passed) {
+    out.log(chalk.green(`\n🚦 Failure policy passed (${policy.rules.map(result => result.rule).join(', ')})`));
+    return;
+  }
+
+  const tripped = policy.rules.filter(result => result.tripped);
+  out.log(chalk.red(`\n🚦 Failure policy: ${tripped.length} rule${tripped.length === 1 ? '' : 's'} tripped (exit code ${policy.exitCode})`));
+  tripped.forEach(result => {
+    out.log(chalk.red(`   ❌ ${result.rule}: ${result.count} ${result.description} (max ${result.max}) - exit code ${result.exitCode}`));
+  });
+}
+
+function printBaseline(comparison, out) {
+  if (comparison.missing) {
+    out.log(chalk.yellow('\n📐 Baseline has no entry for this URL; nothing compared'));
+    return;
+  }
+
+  if (comparison.passed) {
+    out.log(chalk.green('\n📐 No regressions against the baseline'));
+  } else {
+    out.log(chalk.red(`\n📐 ${comparison.regressions} regression${comparison.regressions === 1 ? '' : 's'} against the baseline (exit code ${comparison.exitCode})`));
+  }
+
+  comparison.newConsole.forEach((msg) => {
+    out.log(chalk.red(`   ❌ New console ${msg.type}: ${truncateValue(msg.text, 200)}`));
+  });
+  comparison.newPageErrors.forEach((error) => {
+    out.log(chalk.red(`   ❌ New page error: ${truncateValue(error.text, 200)}`));
+  });
+  comparison.newFailedRequests.forEach((req) => {
+    out.log(chalk.red(`   ❌ Newly failing request: ${req.key} (${req.failure})`));
+  });
+  comparison.slowerRequests.forEach((req) => {
+    out.log(chalk.red(`   🐢 Slower request: ${req.key} (${req.baselineMs}ms → ${req.currentMs}ms)`));
+  });
+
+  const { resolved } = comparison;
+  resolved.console.forEach((msg) => {
+    out.log(chalk.green(`   ✅ Resolved console ${msg.type}: ${truncateValue(msg.text, 200)}`));
+  });
+  resolved.pageErrors.forEach((error) => {
+    out.log(chalk.green(`   ✅ Resolved page error: ${truncateValue(error.text, 200)}`));
+  });
+  resolved.failedRequests.forEach((req) => {
+    out.log(chalk.green(`   ✅ Resolved request failure: ${req.key}`));
+  });
+}
+
+// Metric value with its unit, or '-' when it wasn't measured
+function formatMetric(value, unit) {
+  return value === null ? '-' : `${value}${unit}`;
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function printPerf(perf, out) {
+  const { metrics, longTasks, memory, budget } = perf;
+  const vitals = [
+    `TTFB ${formatMetric(metrics.ttfb, 'ms')}`,
+    `FCP ${formatMetric(metrics.fcp, 'ms')}`,
+    `LCP ${formatMetric(metrics.lcp, 'ms')}`,
+    `CLS ${formatMetric(metrics.cls, '')}`,
+    `INP ${formatMetric(metrics.inp, 'ms')}`,
+    `FID ${formatMetric(metrics.fid, 'ms')}`,
+    `TBT ${formatMetric(metrics.tbt, 'ms')}`
+  ];
+  out.log(chalk.blue(`\n⚡ Performance: ${vitals.join(' · ')}`));
+  if (longTasks) {
+    const details = longTasks.count > 0 ? ` (longest ${longTasks.longestMs}ms, ${longTasks.totalMs}ms in total)` : '';
+    out.log(chalk.gray(`   Long tasks: ${longTasks.count}${details}`));
+  }
+  if (memory && memory.jsHeapUsed !== null) {
+    const nodes = memory.domNodes != null ? ` · ${memory.domNodes} DOM nodes` : '';
+    out.log(chalk.gray(`   JS heap: ${formatMegabytes(memory.jsHeapUsed)} used of ${formatMegabytes(memory.jsHeapTotal)}${nodes}`));
+  }
+
+  if (!budget) {
+    return;
+  }
+  if (budget.passed) {
+    out.log(chalk.green('   Within budget'));
+  } else {
+    out.log(chalk.red(`   Over budget (exit code ${budget.exitCode})`));
+  }
+  budget.checks.forEach((check) => {
+    const limit = `budget ${check.max}${check.unit}`;
+    if (check.passed === null) {
+      out.log(chalk.gray(`   ➖ ${check.metric}: not measured (${limit})`));
+    } else if (check.passed) {
+      out.log(chalk.green(`   ✅ ${check.metric}: ${check.value}${check.unit} (${limit})`));
+    } else {
+      out.log(chalk.red(`   ❌ ${check.metric}: ${check.value}${check.unit} (${limit})`));
+    }
+  });
+}
+
+const SEVERITY_STYLES = {
+  high: { icon: '🔴', color: 'red' },
+  medium: { icon: '🟠', color: 'yellow' },
+  low: { icon: '🟡', color: 'gray' }
+};
+
+function printSecurityAudit(audit, out) {
+  if (audit.findings.length === 0) {
+    out.log(chalk.green('\n🔒 Security audit: no findings'));
+    return;
+  }
+
+  const counts = Object.entries(audit.counts).filter(([, count]) => count > 0).map(([severity, count]) => `${count} ${severity}`);
+  out.log(chalk.blue(`\n🔒 Security audit: ${counts.join(', ')}`));
+  audit.findings.forEach((finding) => {
+    const { icon, color } = SEVERITY_STYLES[finding.severity];
+    out.log(chalk[color](`   ${icon} ${finding.severity} ${finding.check}: ${finding.message}`) + chalk.gray(` (${truncateValue(finding.url, 120)})`));
+  });
+}
+
+// Single JSON report printed once the capture finishes
+function createJsonReporter() {
+  const print = (result) => {
+    console.log(JSON.stringify(result, null, 2));
+  };
+
+  return {
+    start() {},
+    navigating() {},
+    loaded() {},
+    step() {},
+    ready() {},
+    console() {},
+    pageerror() {},
+    request() {},
+    response() {},
+    requestfailed() {},
+    websocket() {},
+    warning() {},
+    complete: print,
+    close() {},
+
+    error(error) {
+      print(error.result || { error: { message: error.message } });
+    }
+  };
+}
+
+// One JSON event per line, written as soon as it happens
+function createNdjsonReporter(options) {
+  // Events from a multi-URL run are tagged with the page they came from
+  const tag = options.url ? { url: options.url } : {};
+  if (options.browser) {
+    tag.browser = options.browser;
+  }
+  if (options.cycle) {
+    tag.cycle = options.cycle;
+  }
+
+  const emit = (event, data) => {
+    console.log(JSON.stringify({ event, timestamp: new Date().toISOString(), ...tag, ...data }));
+  };
+
+  return {
+    start(meta) {
+      emit('start', { meta });
+    },
+
+    navigating(url) {
+      emit('navigating', { url });
+    },
+
+    loaded({ delay, conditions, steps }) {
+      emit('loaded', { delayMs: delay, conditions, steps });
+    },
+
+    step(step) {
+      emit('step', step);
+    },
+
+    ready(ready) {
+      emit('ready', ready);
+    },
+
+    console(message) {
+      emit('console', { message });
+    },
+
+    pageerror(pageError) {
+      emit('pageerror', { error: pageError });
+    },
+
+    request(req) {
+      emit('request', { request: req });
+    },
+
+    response(req) {
+      emit('response', { request: req });
+    },
+
+    requestfailed(req) {
+      emit('requestfailed', { request: req });
+    },
+
+    websocket(req) {
+      emit('websocket', { request: req });
+    },
+
+    warning(warning) {
+      emit('warning', { message: warning.message });
+    },
+
+    complete(result) {
+      emit('complete', {
+        summary: result.summary,
+        policy: result.policy || null,
+        baseline: result.baseline || null,
+        perf: result.perf || null,
+        audit: result.audit || null
+      });
+    },
+
+    close() {
+      emit('closed', {});
+    },
+
+    error(error) {
+      emit('error', {
+        error: { message: error.message },
+        summary: error.result ? error.result.summary : null
+      });
+    }
+  };
+}
+
+export function createReporter(format, options) {
+  switch (format) {
+    case 'json':
+      return createJsonReporter(options);
+    case 'ndjson':
+      return createNdjsonReporter(options);
+    default:
+      return createPrettyReporter(options);
+  }
+}
+
+// Forward every session event to the matching reporter method
+export function attachReporter(session, reporter) {
+  for (const event of SESSION_EVENTS) {
+    session.on(event, (...args) => reporter[event](...args));
+  }
+}
+
+// Collects output lines so a page's section can be printed in one piece
+function createBufferedOutput() {
+  const lines = [];
+
+  return {
+    log: (...args) => lines.push(['log', args]),
+    error: (...args) => lines.push(['error', args]),
+    flush() {
+      lines.splice(0).forEach(([method, args]) => console[method](...args));
+    }
+  };
+}
+
+// Per-engine totals and the issues only some engines ran into
+function printBrowserComparison(comparison) {
+  console.log(chalk.blue('\n🧭 Browsers'));
+  Object.entries(comparison.engines).forEach(([name, totals]) => {
+    const counts = [
+      `${totals.consoleErrors} console errors`,
+      `${totals.pageErrors} page errors`,
+      `${totals.failedRequests} failed requests`
+    ];
+    if (totals.errored > 0) {
+      counts.push(`${totals.errored} pages could not be captured`);
+    }
+    console.log(chalk.gray(`  ${name}: ${counts.join(', ')}`));
+  });
+
+  comparison.pages.filter(page => page.differences.length > 0).forEach((page) => {
+    console.log(chalk.yellow(`  Differences on ${page.url}:`));
+    page.differences.forEach((issue) => {
+      console.log(chalk.yellow(`    ${issue.kind} only in ${issue.browsers.join(', ')}: ${issue.text}`));
+    });
+  });
+}
+
+function printBatchSummary(result) {
+  const { summary } = result;
+  const engines = result.meta.browsers.length > 1;
+
+  const captured = engines ? `${summary.urls} captures` : `${summary.urls} URLs`;
+  console.log(chalk.blue(`\n📊 Summary for ${captured} (${result.meta.durationMs}ms)`));
+  summary.pages.forEach((page, index) => {
+    const url = engines ? `[${page.browser}] ${page.url}` : page.url;
+    const artifacts = () => {
+      if (page.artifactsDir) {
+        console.log(chalk.gray(`     📎 ${page.artifactsDir}`));
+      }
+    };
+    if (page.error) {
+      console.log(chalk.red(`  ${index + 1}. ❌ ${url} - Error: ${page.error.split('\n')[0]}`));
+      artifacts();
+      return;
+    }
+
+    const counts = [`${page.consoleErrors} console errors`, `${page.pageErrors} page errors`];
+    if (page.failedRequests !== null) {
+      counts.push(`${page.failedRequests} failed requests`);
+    }
+    if (page.perf === 'exceeded') {
+      counts.push('over performance budget');
+    }
+    if (page.securityFindings) {
+      const findings = page.securityFindings.high + page.securityFindings.medium + page.securityFindings.low;
+      counts.push(`${findings} security findings (${page.securityFindings.high} high)`);
+    }
+    const clean = page.consoleErrors === 0 && page.pageErrors === 0 && !page.failedRequests &&
+      page.policy !== 'failed' && page.baseline !== 'regressed' && page.perf !== 'exceeded';
+    const color = clean ? 'green' : 'yellow';
+    console.log(chalk[color](`  ${index + 1}. ${clean ? '✅' : '⚠️ '} ${url} - ${counts.join(', ')}`));
+    artifacts();
+  });
+
+  const totals = [`${summary.consoleErrors} console errors`, `${summary.pageErrors} page errors`];
+  if (summary.failedRequests !== null) {
+    totals.push(`${summary.failedRequests} failed requests`);
+  }
+  if (summary.errored > 0) {
+    totals.push(`${summary.errored} pages could not be captured`);
+  }
+  console.log(chalk.gray(`  Total: ${totals.join(', ')}`));
+  if (summary.browsers) {
+    printBrowserComparison(summary.browsers);
+  }
+  console.log(chalk.blue(`🔚 Browser closed`));
+}
+
+// Output for a multi-URL run. Pretty output prints one section per page as
+// it finishes, json prints the aggregate result once, and ndjson streams
+// every page's events tagged with its URL (and engine, when there are several).
+export function createBatchReporter(format, options) {
+  let engines = false;
+
+  return {
+    start(urls, concurrency, browsers = ['chromium']) {
+      engines = browsers.length > 1;
+      if (format === 'pretty') {
+        const across = engines ? ` in ${browsers.join(', ')}` : '';
+        console.log(chalk.blue(`🚀 Capturing ${urls.length} URLs${across} (concurrency ${concurrency})`));
+      } else if (format === 'ndjson') {
+        console.log(JSON.stringify({ event: 'batch-start', timestamp: new Date().toISOString(), urls, browsers, concurrency }));
+      }
+    },
+
+    session(session, index, total) {
+      if (format === 'json') {
+        return;
+      }
+
+      if (format === 'ndjson') {
+        const tag = engines ? { url: session.displayUrl, browser: session.browserName } : { url: session.displayUrl };
+        const reporter = createReporter(format, { ...options, ...tag });
+        attachReporter(session, reporter);
+        session.catch(error => reporter.error(error));
+        return;
+      }
+
+      const out = createBufferedOutput();
+      const reporter = createReporter(format, { ...options, out });
+      attachReporter(session, reporter);
+      session
+        .catch(error => reporter.error(error))
+        .finally(() => {
+          const engine = engines ? ` (${session.browserName})` : '';
+          console.log(chalk.blue(`\n━━━ [${index + 1}/${total}] ${session.displayUrl}${engine} ━━━`));
+          out.flush();
+        });
+    },
+
+    complete(result) {
+      if (format === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+      } else if (format === 'ndjson') {
+        console.log(JSON.stringify({ event: 'batch-complete', timestamp: new Date().toISOString(), summary: result.summary }));
+      } else {
+        printBatchSummary(result);
+      }
+    },
+
+    error(error) {
+      createReporter(format, options).error(error);
+    }
+  };
+}
+
+// What changed since the previous watch cycle
+function printDelta(delta) {
+  const counts = `${delta.consoleErrors} console errors, ${delta.pageErrors} page errors, ${delta.failedRequests} failed requests`;
+  if (delta.cycle === 1) {
+    console.log(chalk.blue(`\n🔁 Cycle 1: ${counts}`));
+    return;
+  }
+  if (!delta.changed) {
+    console.log(chalk.gray(`\n🔁 Cycle ${delta.cycle}: no changes (${counts})`));
+    return;
+  }
+
+  console.log(chalk.yellow(`\n🔁 Cycle ${delta.cycle}: ${delta.new.length} new, ${delta.resolved.length} gone (${counts})`));
+  delta.new.forEach((issue) => {
+    console.log(chalk.red(`  + ${issue.kind}: ${issue.text}`));
+  });
+  delta.resolved.forEach((issue) => {
+    console.log(chalk.green(`  - ${issue.kind}: ${issue.text}`));
+  });
+}
+
+// Output for --watch. Pretty output streams each cycle's events as they
+// happen and prints what changed after it, json prints each cycle's result
+// with its delta in a `watch` field, and ndjson tags every event with its
+// cycle and adds a `cycle-complete` event.
+export function createWatchReporter(format, options) {
+  return {
+    start(url, watchOptions) {
+      if (format === 'pretty') {
+        const triggers = [];
+        if (watchOptions.interval) {
+          triggers.push(`every ${watchOptions.interval / 1000}s`);
+        }
+        if (watchOptions.files.length > 0) {
+          triggers.push(`on changes to ${watchOptions.files.join(', ')}`);
+        }
+        console.log(chalk.blue(`👀 Watching ${url} ${triggers.join(' and ')} (Ctrl+C to stop)`));
+      } else if (format === 'ndjson') {
+        console.log(JSON.stringify({ event: 'watch-start', timestamp: new Date().toISOString(), url, ...watchOptions }));
+      }
+    },
+
+    cycle(session, cycle, trigger) {
+      if (format === 'json') {
+        return;
+      }
+
+      const reporter = createReporter(format, format === 'ndjson' ? { ...options, url: session.displayUrl, cycle } : options);
+      if (format === 'pretty') {
+        const time = new Date().toLocaleTimeString();
+        console.log(chalk.blue(`\n━━━ Cycle ${cycle} (${trigger}) at ${time} ━━━`));
+      }
+      attachReporter(session, reporter);
+      session.catch(error => reporter.error(error));
+    },
+
+    delta(delta, result) {
+      if (format === 'json') {
+        console.log(JSON.stringify({ ...result, watch: delta }, null, 2));
+      } else if (format === 'ndjson') {
+        console.log(JSON.stringify({ event: 'cycle-complete', timestamp: new Date().toISOString(), url: delta.url, cycle: delta.cycle, delta }));
+      } else {
+        printDelta(delta);
+      }
+    },
+
+    warning(warning) {
+      createReporter(format, options).warning(warning);
+    },
+
+    error(error) {
+      createReporter(format, options).error(error);
+    }
+  };
+}
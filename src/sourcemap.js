@@ -0,0 +1,252 @@
+import { readFile } from 'fs/promises';
+import { join, basename } from 'path';
+import { pathToFileURL } from 'url';
+
+// Source map resolution for console locations and stack frames. Maps are
+// read from a local directory first, then from the `sourceMappingURL` of the
+// scripts the page loaded. Lines and columns are 1-based, as in stack.js.
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+const SOURCE_MAPPING_URL = /\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/gm;
+
+// Decode one Base64 VLQ segment into its numbers
+function decodeVlq(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of segment) {
+    const digit = BASE64.indexOf(char);
+    value += (digit & 31) * 2 ** shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value % 2 ? -Math.floor(value / 2) : Math.floor(value / 2));
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
+
+// Decode a `mappings` string into one list of segments per generated line.
+// Each segment is [generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex?],
+// 0-based, or just [generatedColumn] when it maps to nothing.
+function decodeMappings(mappings) {
+  const lines = [];
+  let sourceIndex = 0;
+  let originalLine = 0;
+  let originalColumn = 0;
+  let nameIndex = 0;
+
+  for (const line of mappings.split(';')) {
+    const segments = [];
+    let generatedColumn = 0;
+
+    for (const segment of line.split(',')) {
+      if (!segment) {
+        continue;
+      }
+
+      const values = decodeVlq(segment);
+      generatedColumn += values[0];
+      if (values.length < 4) {
+        segments.push([generatedColumn]);
+        continue;
+      }
+
+      sourceIndex += values[1];
+      originalLine += values[2];
+      originalColumn += values[3];
+      if (values.length > 4) {
+        nameIndex += values[4];
+        segments.push([generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex]);
+      } else {
+        segments.push([generatedColumn, sourceIndex, originalLine, originalColumn]);
+      }
+    }
+
+    lines.push(segments.sort((a, b) => a[0] - b[0]));
+  }
+
+  return lines;
+}
+
+// Parse a source map. Returns `lookup(line, column)`, which gives the original
+// `{ url, line, column, name }` of a generated position, or null. `name` is the
+// original identifier only when the position is exactly at a named token.
+export function parseSourceMap(map, mapUrl) {
+  if (map.sections) {
+    // Index map: each section maps the generated code from its offset on
+    const sections = map.sections.map(section => ({
+      line: section.offset.line + 1,
+      column: section.offset.column + 1,
+      lookup: parseSourceMap(section.map, mapUrl).lookup
+    }));
+
+    return {
+      lookup(line, column) {
+        const section = sections.filter(s => s.line < line || (s.line === line && s.column <= column)).pop();
+        if (!section) {
+          return null;
+        }
+        const relativeColumn = line === section.line ? column - section.column + 1 : column;
+        return section.lookup(line - section.line + 1, relativeColumn);
+      }
+    };
+  }
+
+  const lines = decodeMappings(map.mappings || '');
+  const sourceRoot = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '';
+  const sources = (map.sources || []).map((source) => {
+    try {
+      return new URL(sourceRoot + source, mapUrl).href;
+    } catch {
+      return sourceRoot + source;
+    }
+  });
+  const names = map.names || [];
+
+  return {
+    lookup(line, column) {
+      const segments = lines[line - 1] || [];
+      const segment = segments.filter(s => s[0] <= column - 1).pop();
+      if (!segment || segment.length === 1) {
+        return null;
+      }
+
+      return {
+        url: sources[segment[1]],
+        line: segment[2] + 1,
+        column: segment[3] + 1,
+        name: segment.length > 4 && segment[0] === column - 1 ? names[segment[4]] : null
+      };
+    }
+  };
+}
+
+// Read a map from a data: URL
+function readDataUrl(url) {
+  const comma = url.indexOf(',');
+  const header = url.slice(0, comma);
+  const data = url.slice(comma + 1);
+  return header.endsWith(';base64') ? Buffer.from(data, 'base64').toString('utf8') : decodeURIComponent(data);
+}
+
+// Resolve console locations and stack frames on a page through source maps.
+// `dir` is a local directory of .map files, or null to only use the maps the
+// scripts point to. Maps that cannot be loaded are reported through `onWarning`
+// once and then ignored.
+export function createSourceMapResolver(page, dir, onWarning) {
+  const scripts = new Map();
+  const maps = new Map();
+
+  // Keep script responses so their sourceMappingURL can be read later
+  page.on('response', (response) => {
+    if (response.request().resourceType() === 'script') {
+      scripts.set(response.url(), response);
+    }
+  });
+
+  const readLocalMap = async (scriptUrl) => {
+    const { pathname } = new URL(scriptUrl);
+    for (const path of [join(dir, `${pathname}.map`), join(dir, `${basename(pathname)}.map`)]) {
+      try {
+        return { map: JSON.parse(await readFile(path, 'utf8')), mapUrl: pathToFileURL(path).href };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`${path}: ${error.message}`);
+        }
+      }
+    }
+    return null;
+  };
+
+  const readLinkedMap = async (scriptUrl) => {
+    // Only scripts the page loaded; inline scripts have no map to follow
+    const response = scripts.get(scriptUrl);
+    if (!response) {
+      return null;
+    }
+
+    const headers = response.headers();
+    // The body is gone once the page has navigated away; fetch it again
+    const source = await response.body()
+      .then(body => body.toString('utf8'))
+      .catch(() => page.context().request.get(scriptUrl).then(fetched => fetched.text()));
+
+    const linked = headers.sourcemap || headers['x-sourcemap'] || [...source.matchAll(SOURCE_MAPPING_URL)].map(match => match[1]).pop();
+    if (!linked) {
+      return null;
+    }
+
+    const mapUrl = new URL(linked, scriptUrl).href;
+    if (mapUrl.startsWith('data:')) {
+      return { map: JSON.parse(readDataUrl(mapUrl)), mapUrl: scriptUrl };
+    }
+
+    const mapResponse = await page.context().request.get(mapUrl);
+    if (!mapResponse.ok()) {
+      throw new Error(`${mapUrl} returned ${mapResponse.status()}`);
+    }
+    return { map: await mapResponse.json(), mapUrl };
+  };
+
+  const loadMap = (scriptUrl) => {
+    if (!maps.has(scriptUrl)) {
+      maps.set(scriptUrl, (async () => {
+        if (!/^https?:/.test(scriptUrl)) {
+          return null;
+        }
+        try {
+          const found = (dir && await readLocalMap(scriptUrl)) || await readLinkedMap(scriptUrl);
+          return found ? parseSourceMap(found.map, found.mapUrl) : null;
+        } catch (error) {
+          onWarning(new Error(`Could not load source map for ${scriptUrl}: ${error.message}`));
+          return null;
+        }
+      })());
+    }
+    return maps.get(scriptUrl);
+  };
+
+  const lookup = async (location) => {
+    const map = await loadMap(location.url);
+    return map ? map.lookup(location.line, location.column) : null;
+  };
+
+  return {
+    // Add `original` to a location when its script has a source map
+    async resolveLocation(location) {
+      if (location) {
+        const original = await lookup(location);
+        if (original) {
+          location.original = { url: original.url, line: original.line, column: original.column };
+        }
+      }
+      return location;
+    },
+
+    // Add `original` to each frame. A frame's original function name is the
+    // name at its caller's call site, since that is where the function is named.
+    async resolveFrames(frames) {
+      const originals = await Promise.all(frames.map(lookup));
+      frames.forEach((frame, index) => {
+        const original = originals[index];
+        if (!original) {
+          return;
+        }
+        const caller = originals[index + 1];
+        frame.original = {
+          functionName: (caller && caller.name) || frame.functionName,
+          url: original.url,
+          line: original.line,
+          column: original.column
+        };
+      });
+      return frames;
+    }
+  };
+}
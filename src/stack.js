@@ -0,0 +1,60 @@
+// Source locations and stack traces for console messages and page errors.
+// Lines and columns are 1-based, as in browser stack traces.
+
+// Console calls that carry a full JavaScript stack
+export const STACK_TYPES = ['error', 'trace', 'assert'];
+
+// V8 stack frame: "    at fn (url:line:column)" or "    at url:line:column"
+const FRAME_PATTERN = /^\s*at (?:(.*?) \()?(.*?):(\d+):(\d+)\)?$/;
+
+// Firefox and WebKit stack frame: "fn@url:line:column" or "@url:line:column"
+const GECKO_FRAME_PATTERN = /^\s*([^@]*)@(.*?):(\d+):(\d+)$/;
+
+// Location of a console call from Playwright's msg.location(), which is 0-based
+export function toLocation(location) {
+  if (!location || !location.url) {
+    return null;
+  }
+
+  return { url: location.url, line: location.lineNumber + 1, column: location.columnNumber + 1 };
+}
+
+// Parse the frames out of an Error's stack string
+export function parseStack(stack) {
+  if (!stack) {
+    return [];
+  }
+
+  return stack.split('\n').map(line => line.match(FRAME_PATTERN) || line.match(GECKO_FRAME_PATTERN)).filter(Boolean).map(([, functionName, url, line, column]) => ({
+    functionName: functionName || '',
+    url,
+    line: parseInt(line),
+    column: parseInt(column)
+  }));
+}
+
+// Frames from a DevTools protocol Runtime.StackTrace, which is 0-based
+export function fromCallFrames(callFrames) {
+  return callFrames.map(frame => ({
+    functionName: frame.functionName,
+    url: frame.url,
+    line: frame.lineNumber + 1,
+    column: frame.columnNumber + 1
+  }));
+}
+
+// "url:line:column", using the source-mapped position when there is one
+export function formatLocation(location) {
+  const { url, line, column } = location.original || location;
+  return `${url}:${line}:${column}`;
+}
+
+// Render frames the way V8 prints them
+export function formatStack(frames) {
+  return frames
+    .map((frame) => {
+      const functionName = (frame.original || frame).functionName;
+      return functionName ? `    at ${functionName} (${formatLocation(frame)})` : `    at ${formatLocation(frame)}`;
+    })
+    .join('\n');
+}
@@ -0,0 +1,107 @@
+// Interaction steps run after the page loads. Each step is an object with an
+// `action` and that action's fields, e.g. { "action": "click", "selector": "#buy" }.
+const STEP_FIELDS = {
+  goto: ['url'],
+  click: ['selector'],
+  fill: ['selector', 'value'],
+  press: ['key'],
+  hover: ['selector'],
+  scroll: [],
+  waitForSelector: ['selector'],
+  evaluate: ['script'],
+  sleep: ['ms']
+};
+
+export const STEP_ACTIONS = Object.keys(STEP_FIELDS);
+
+// Validate a list of steps, throwing on the first invalid one
+export function parseSteps(steps) {
+  if (!Array.isArray(steps)) {
+    throw new Error('Invalid steps. Must be an array of step objects.');
+  }
+
+  steps.forEach((step, index) => {
+    if (typeof step !== 'object' || step === null || !STEP_FIELDS[step.action]) {
+      throw new Error(`Invalid step ${index + 1}. "action" must be one of: ${STEP_ACTIONS.join(', ')}.`);
+    }
+
+    const missing = STEP_FIELDS[step.action].filter(field => step[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Invalid step ${index + 1}. "${step.action}" requires: ${missing.join(', ')}.`);
+    }
+
+    if (step.action === 'sleep' && !(parseInt(step.ms) >= 0)) {
+      throw new Error(`Invalid step ${index + 1}. "ms" must be a positive number.`);
+    }
+  });
+
+  return steps;
+}
+
+// Short human-readable description of a step
+export function describeStep(step) {
+  switch (step.action) {
+    case 'goto':
+      return `goto ${step.url}`;
+    case 'press':
+      return step.selector ? `press ${step.key} in "${step.selector}"` : `press ${step.key}`;
+    case 'scroll':
+      if (step.selector) {
+        return `scroll to "${step.selector}"`;
+      }
+      return step.x === undefined && step.y === undefined ? 'scroll one screen' : `scroll by ${step.x ?? 0},${step.y ?? 0}`;
+    case 'evaluate':
+      return 'evaluate script';
+    case 'sleep':
+      return `sleep ${step.ms}ms`;
+    default:
+      return `${step.action} "${step.selector}"`;
+  }
+}
+
+// Run one step on a page. Actions that wait for an element or a navigation
+// use the capture timeout.
+export async function runStep(page, step, options) {
+  const { timeout } = options;
+
+  switch (step.action) {
+    case 'goto':
+      await page.goto(step.url, { waitUntil: options.waitUntil, timeout });
+      break;
+    case 'click':
+      await page.click(step.selector, { timeout });
+      break;
+    case 'fill':
+      await page.fill(step.selector, String(step.value), { timeout });
+      break;
+    case 'press':
+      if (step.selector) {
+        await page.press(step.selector, step.key, { timeout });
+      } else {
+        await page.keyboard.press(step.key);
+      }
+      break;
+    case 'hover':
+      await page.hover(step.selector, { timeout });
+      break;
+    case 'scroll':
+      if (step.selector) {
+        await page.locator(step.selector).first().scrollIntoViewIfNeeded({ timeout });
+      } else if (step.x === undefined && step.y === undefined) {
+        const viewport = page.viewportSize();
+        await page.mouse.wheel(0, viewport ? viewport.height : 720);
+      } else {
+        await page.mouse.wheel(step.x ?? 0, step.y ?? 0);
+      }
+      break;
+    case 'waitForSelector':
+      await page.waitForSelector(step.selector, { state: step.state, timeout });
+      break;
+    case 'evaluate':
+      await page.evaluate(step.script);
+      break;
+    case 'sleep':
+      await page.waitForTimeout(parseInt(step.ms));
+      break;
+  }
+}
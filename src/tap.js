@@ -0,0 +1,1239 @@
+import { EventEmitter } from 'events';
+import { statSync } from 'fs';
+import { parseFailOn, policyNeedsNetwork, evaluatePolicy } from './policy.js';
+import { compareBaseline } from './baseline.js';
+import { trackNetwork, toNetworkEntry } from './network.js';
+import { WAIT_UNTIL, hasWaitConditions, armWaitConditions } from './wait.js';
+import { parseSteps, describeStep, runStep } from './steps.js';
+import { toLocation, parseStack, formatStack, fromCallFrames } from './stack.js';
+import { trackConsoleCalls, describeConsoleCall, describeConsoleMessage } from './console.js';
+import { DEFAULT_ARG_DEPTH } from './preview.js';
+import { parseLevels, parsePatterns, createMessageFilter, createDeduper, countMessages } from './filter.js';
+import { createSourceMapResolver } from './sourcemap.js';
+import { parseEmulation, toContextOptions } from './emulation.js';
+import {
+  parseCookies,
+  parseHttpCredentials,
+  parseClientCertificates,
+  parseOriginHeaders,
+  toAuthContextOptions,
+  loadSession,
+  applyAuth,
+  describeAuth,
+  mergeStorageStates,
+  saveStorageState
+} from './auth.js';
+import { parseThrottle, emulateNetwork, emulateCpu } from './throttle.js';
+import { parseBrowsers, supportsCdp, launchBrowser, unsupportedFeatures, compareBrowsers } from './browsers.js';
+import { parseInterval, parseWatchFiles, diffCycle, watchFiles, notifyChange } from './watch.js';
+import { parseArtifacts, createArtifactRecorder } from './artifacts.js';
+import { parseBudget, installPerfObservers, collectPerf, evaluateBudget } from './perf.js';
+import { parseAudits, trackSecurity } from './audit.js';
+import { createRedactor } from './redact.js';
+import { TARGET_TYPES, parseTargets, consoleTarget, errorTarget, toPageError, trackDetachedWorkers } from './targets.js';
+import { parseBlockPatterns, parseMockRules, parseRewriteRules, hasInterception, installInterception } from './intercept.js';
+
+export const VERSION = '1.0.0';
+
+const NETWORK_MODES = ['basic', 'verbose'];
+
+export const SESSION_EVENTS = [
+  'start',
+  'navigating',
+  'loaded',
+  'step',
+  'ready',
+  'console',
+  'pageerror',
+  'request',
+  'response',
+  'requestfailed',
+  'websocket',
+  'warning',
+  'complete',
+  'close'
+];
+
+function isDirectory(path) {
+  try {
+    return statSync(path).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// Validate and fill in defaults for tap() options. Numeric options may be
+// given as strings (as they come from the command line).
+export function normalizeOptions(options = {}) {
+  const delay = parseInt(options.delay ?? 3000);
+  if (isNaN(delay) || delay < 0) {
+    throw new Error(`Invalid delay "${options.delay}". Must be a positive number.`);
+  }
+
+  const timeout = parseInt(options.timeout ?? 30000);
+  if (isNaN(timeout) || timeout < 1000) {
+    throw new Error(`Invalid timeout "${options.timeout}". Must be at least 1000ms.`);
+  }
+
+  const headers = options.headers ?? {};
+  if (typeof headers !== 'object' || headers === null || Array.isArray(headers)) {
+    throw new Error('Invalid headers. Must be an object of header names to values.');
+  }
+
+  let network = options.network ?? false;
+  if (network === true) {
+    network = 'basic';
+  }
+  if (network !== false && !NETWORK_MODES.includes(network)) {
+    throw new Error(`Invalid network mode "${network}". Must be one of: ${NETWORK_MODES.join(', ')}.`);
+  }
+
+  const failOn = parseFailOn([].concat(options.failOn ?? []).join(','));
+
+  const maxErrors = parseInt(options.maxErrors ?? 0);
+  if (isNaN(maxErrors) || maxErrors < 0) {
+    throw new Error(`Invalid max errors "${options.maxErrors}". Must be a positive number.`);
+  }
+
+  const maxBodySize = parseInt(options.maxBodySize ?? 1024 * 1024);
+  if (isNaN(maxBodySize) || maxBodySize < 0) {
+    throw new Error(`Invalid max body size "${options.maxBodySize}". Must be a positive number.`);
+  }
+
+  const maxFramePayload = parseInt(options.maxFramePayload ?? 1024);
+  if (isNaN(maxFramePayload) || maxFramePayload < 0) {
+    throw new Error(`Invalid max frame payload "${options.maxFramePayload}". Must be a positive number.`);
+  }
+
+  const waitUntil = options.waitUntil ?? 'domcontentloaded';
+  if (!WAIT_UNTIL.includes(waitUntil)) {
+    throw new Error(`Invalid wait-until "${waitUntil}". Must be one of: ${WAIT_UNTIL.join(', ')}.`);
+  }
+
+  let waitForConsole = options.waitForConsole ?? null;
+  if (waitForConsole !== null && !(waitForConsole instanceof RegExp)) {
+    try {
+      waitForConsole = new RegExp(waitForConsole);
+    } catch (error) {
+      throw new Error(`Invalid console pattern "${options.waitForConsole}". ${error.message}.`);
+    }
+  }
+
+  const sourceMaps = options.sourceMaps ?? false;
+  if (typeof sourceMaps === 'string' && !isDirectory(sourceMaps)) {
+    throw new Error(`Invalid source maps directory "${sourceMaps}". Must be an existing directory.`);
+  }
+
+  const argDepth = parseInt(options.argDepth ?? DEFAULT_ARG_DEPTH);
+  if (isNaN(argDepth) || argDepth < 0) {
+    throw new Error(`Invalid argument depth "${options.argDepth}". Must be a positive number.`);
+  }
+
+  let levels;
+  try {
+    levels = parseLevels(options.levels ?? []);
+  } catch (error) {
+    throw new Error(`Invalid levels "${options.levels}". ${error.message}.`);
+  }
+
+  const throttle = options.throttle == null ? null : parseThrottle(options.throttle);
+
+  const cpuThrottle = options.cpuThrottle == null ? null : parseFloat(options.cpuThrottle);
+  if (cpuThrottle !== null && (isNaN(cpuThrottle) || cpuThrottle < 1)) {
+    throw new Error(`Invalid CPU throttle "${options.cpuThrottle}". Must be a number of at least 1.`);
+  }
+
+  let mock;
+  try {
+    mock = parseMockRules(options.mock ?? {});
+  } catch (error) {
+    throw new Error(`Invalid mock rules. ${error.message}.`);
+  }
+
+  let rewrite;
+  try {
+    rewrite = parseRewriteRules(options.rewrite ?? {});
+  } catch (error) {
+    throw new Error(`Invalid rewrite rules. ${error.message}.`);
+  }
+
+  let cookies;
+  try {
+    cookies = options.cookies == null ? [] : parseCookies(options.cookies);
+  } catch (error) {
+    throw new Error(`Invalid cookies. ${error.message}.`);
+  }
+
+  let originHeaders;
+  try {
+    originHeaders = parseOriginHeaders(options.originHeaders ?? {});
+  } catch (error) {
+    throw new Error(`Invalid origin headers. ${error.message}.`);
+  }
+
+  const baseline = options.baseline ?? null;
+  if (baseline !== null && (typeof baseline !== 'object' || !Array.isArray(baseline.pages))) {
+    throw new Error('Invalid baseline. Must be an object created by createBaseline().');
+  }
+
+  const slowdownThreshold = parseFloat(options.slowdownThreshold ?? 50);
+  if (isNaN(slowdownThreshold) || slowdownThreshold < 0) {
+    throw new Error(`Invalid slowdown threshold "${options.slowdownThreshold}". Must be a positive number.`);
+  }
+
+  const budget = options.budget == null ? [] : parseBudget(options.budget);
+
+  const redact = parsePatterns(options.redact, 'redact');
+  const showSecrets = Boolean(options.showSecrets);
+
+  const quietPeriod = options.quietPeriod == null ? null : parseInt(options.quietPeriod);
+  if (quietPeriod !== null && (isNaN(quietPeriod) || quietPeriod < 1)) {
+    throw new Error(`Invalid quiet period "${options.quietPeriod}". Must be a positive number.`);
+  }
+
+  return {
+    delay,
+    timeout,
+    waitUntil,
+    waitForSelector: options.waitForSelector ?? null,
+    waitForConsole,
+    waitForFunction: options.waitForFunction ?? null,
+    quietPeriod,
+    steps: options.steps == null ? null : parseSteps(options.steps),
+    sourceMaps,
+    argDepth,
+    levels,
+    targets: parseTargets(options.targets),
+    artifactsDir: options.artifactsDir ?? null,
+    artifacts: parseArtifacts(options.artifacts),
+    include: parsePatterns(options.include, 'include'),
+    exclude: parsePatterns(options.exclude, 'exclude'),
+    dedupe: Boolean(options.dedupe),
+    headless: options.headless ?? true,
+    userAgent: options.userAgent ?? null,
+    emulation: parseEmulation(options),
+    headers,
+    cookies,
+    storageState: options.storageState ?? null,
+    httpCredentials: options.httpCredentials == null ? null : parseHttpCredentials(options.httpCredentials),
+    clientCertificates: parseClientCertificates(options.clientCertificates),
+    originHeaders,
+    loginScript: options.loginScript ?? null,
+    network,
+    failOn,
+    maxErrors,
+    baseline,
+    slowdownThreshold,
+    // A budget needs the metrics it limits
+    perf: Boolean(options.perf) || budget.length > 0,
+    budget,
+    audits: parseAudits(options.audit),
+    redact,
+    showSecrets,
+    // Applied to everything a capture reports
+    redactor: createRedactor(redact, { builtIn: !showSecrets }),
+    throttle,
+    cpuThrottle,
+    browsers: parseBrowsers(options.browser),
+    block: parseBlockPatterns(options.block),
+    mock,
+    rewrite,
+    responseBodies: Boolean(options.responseBodies),
+    maxBodySize,
+    webSocketFrames: Boolean(options.webSocketFrames),
+    maxFramePayload
+  };
+}
+
+// browser.newContext() options shared by the login script and the captures
+function toCaptureContextOptions(options, browserName) {
+  const contextOptions = {
+    ...toContextOptions(options.emulation),
+    ...toAuthContextOptions(options),
+    extraHTTPHeaders: options.headers
+  };
+  // Firefox rejects mobile emulation; the device's size and user agent still apply
+  if (browserName === 'firefox') {
+    delete contextOptions.isMobile;
+  }
+  return contextOptions;
+}
+
+// Build the structured result a session resolves with
+function buildResult({ meta, consoleMessages, consoleStats, pageErrors, networkRequests, policy, perf, audit, artifacts, error }) {
+  const result = {
+    meta,
+    console: consoleMessages,
+    pageErrors,
+    network: networkRequests ? networkRequests.map(toNetworkEntry) : null,
+    summary: {
+      consoleMessages: consoleMessages.length,
+      pageErrors: pageErrors.length,
+      ...consoleStats
+    }
+  };
+
+  if (networkRequests) {
+    result.summary.network = {
+      total: networkRequests.length,
+      successful: networkRequests.filter(req => req.response).length,
+      failed: networkRequests.filter(req => req.failed).length,
+      pending: networkRequests.filter(req => !req.response && !req.failed).length
+    };
+  }
+
+  if (policy) {
+    result.policy = policy;
+  }
+
+  if (perf) {
+    result.perf = perf;
+  }
+
+  if (audit) {
+    result.audit = audit;
+  }
+
+  if (artifacts) {
+    result.artifacts = artifacts.artifacts;
+  }
+
+  if (error) {
+    result.error = { message: error.message };
+  }
+
+  return result;
+}
+
+// An EventEmitter that can also be awaited for its `result` promise
+class AwaitableEmitter extends EventEmitter {
+  start() {
+    // Start on the next tick so callers can attach listeners first
+    this.result = Promise.resolve().then(() => this._run());
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.result.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.result.catch(onRejected);
+  }
+
+  finally(onFinally) {
+    return this.result.finally(onFinally);
+  }
+}
+
+// A single capture run. Emits events while the page is running and is
+// awaitable: it resolves with the structured result once the capture ends.
+// See SESSION_EVENTS for the events it emits. When a browser is passed in
+// (by a TapBatch) the session only opens and closes its own context, and
+// uses the storage state the batch loaded instead of loading its own. A
+// batch whose engine failed to launch passes the launch error instead, and
+// the session fails with it rather than launching the engine again.
+export class TapSession extends AwaitableEmitter {
+  constructor(url, options, browser = null, sessionState = null, launchError = null) {
+    super();
+    this.url = url;
+    this.options = options;
+    this.browser = browser;
+    this.launchError = launchError;
+    // Storage state a TapBatch already loaded or logged in for
+    this.sessionState = sessionState;
+    // Engine of the shared browser, or the one to launch
+    this.browserName = browser ? browser.browserType().name() : options.browsers[0];
+    // The URL as reports show it, without secrets in its query
+    this.displayUrl = options.redactor.text(url);
+    // Number of the interaction step running: 0 while the page first loads
+    this.activeStep = 0;
+    // Storage state the capture ended with, when --storage-state is set
+    this.storageState = null;
+    this.start();
+  }
+
+  // Report a problem that doesn't stop the capture. Warnings quote URLs
+  // and page errors, so this is where they are redacted.
+  warn(warning) {
+    warning.message = this.options.redactor.text(warning.message);
+    this.emit('warning', warning);
+  }
+
+  // Tag a captured event with the interaction step that was running
+  tagStep(record, step = this.activeStep) {
+    if (this.options.steps) {
+      record.step = step;
+    }
+    return record;
+  }
+
+  async _run() {
+    const { url, options } = this;
+    const { redactor } = options;
+    const consoleMessages = [];
+    const pageErrors = [];
+    // Network rules, body capture and baseline comparison need request data
+    // even when it is not displayed
+    const networkRequests = options.network || options.responseBodies || options.baseline ||
+      policyNeedsNetwork(options.failOn) ? [] : null;
+    // Counts of filtered and collapsed messages, when those options are on
+    const consoleStats = {};
+    const allTargets = options.targets.length === TARGET_TYPES.length;
+    if (options.levels.length > 0 || options.include.length > 0 || options.exclude.length > 0 || !allTargets) {
+      consoleStats.filteredMessages = 0;
+    }
+    if (options.dedupe) {
+      consoleStats.repeatedMessages = 0;
+    }
+    // Messages of each type from the captured targets, before the level and
+    // pattern filters hide any: --fail-on counts these
+    const consoleCounts = {};
+    const capture = { consoleMessages, consoleStats, consoleCounts, pageErrors, networkRequests };
+    const startedAt = new Date();
+    const meta = {
+      tool: 'browser-console-tap',
+      version: VERSION,
+      url: this.displayUrl,
+      startedAt: startedAt.toISOString(),
+      delayMs: options.delay,
+      timeoutMs: options.timeout,
+      browser: { name: this.browserName, version: null },
+      wait: {
+        until: options.waitUntil,
+        selector: options.waitForSelector,
+        console: options.waitForConsole ? String(options.waitForConsole) : null,
+        function: options.waitForFunction,
+        quietPeriodMs: options.quietPeriod
+      },
+      steps: redactor.steps(options.steps),
+      filters: {
+        targets: options.targets,
+        levels: options.levels,
+        include: options.include.map(String),
+        exclude: options.exclude.map(String),
+        dedupe: options.dedupe
+      },
+      headless: options.headless,
+      network: options.network,
+      artifactsDir: null,
+      headers: redactor.headers(options.headers),
+      emulation: options.emulation,
+      auth: describeAuth(options, false),
+      throttle: options.throttle,
+      cpuThrottle: options.cpuThrottle,
+      interception: {
+        block: options.block,
+        mock: options.mock.map(rule => rule.glob),
+        rewrite: options.rewrite.map(rule => rule.host)
+      },
+      failOn: options.failOn,
+      maxErrors: options.maxErrors,
+      perf: options.perf,
+      budget: options.budget,
+      audits: options.audits,
+      redaction: {
+        builtIn: !options.showSecrets,
+        patterns: options.redact.map(String)
+      }
+    };
+
+    const finishMeta = () => {
+      const finishedAt = new Date();
+      meta.finishedAt = finishedAt.toISOString();
+      meta.durationMs = finishedAt - startedAt;
+    };
+
+    const ownsBrowser = !this.browser;
+    let browser = this.browser;
+    let context;
+    let page;
+    let artifacts = null;
+
+    try {
+      if (options.artifactsDir) {
+        artifacts = createArtifactRecorder(options.artifactsDir, options.artifacts, { url: this.displayUrl, browserName: this.browserName, startedAt, redact: redactor.text },
+          warning => this.warn(warning));
+        meta.artifactsDir = artifacts.dir;
+        // Page errors are snapshotted as they happen
+        this.artifacts = artifacts;
+      }
+      this.emit('start', meta);
+      const unredacted = artifacts ? options.artifacts.filter(kind => kind === 'trace' || kind === 'video') : [];
+      if (unredacted.length > 0 && (!options.showSecrets || options.redact.length > 0)) {
+        this.warn(new Error(`${unredacted.join(' and ')} artifacts are not redacted and can hold credentials the page sent or showed`));
+      }
+
+      // Launch browser
+      if (this.launchError) {
+        // Each session's error gets its own partial result
+        throw new Error(this.launchError.message);
+      }
+      if (ownsBrowser) {
+        browser = await launchBrowser(this.browserName, options);
+      }
+      meta.browser.version = browser.version();
+
+      // Emulation, headers and credentials apply to the whole context, so the
+      // page sees them too (navigator.userAgent, matchMedia, Intl, cookies)
+      const contextOptions = toCaptureContextOptions(options, this.browserName);
+      meta.unsupported = unsupportedFeatures(this.browserName, options, contextOptions);
+      for (const feature of meta.unsupported) {
+        this.warn(new Error(`${feature} is not available in ${this.browserName}; left out`));
+      }
+      const { state, loggedIn } = this.sessionState || await loadSession(browser, options, contextOptions, url);
+      meta.auth.loggedIn = loggedIn;
+      context = await browser.newContext({ ...contextOptions, ...(artifacts && artifacts.contextOptions()), storageState: state });
+      await applyAuth(context, options);
+      if (artifacts) {
+        await artifacts.start(context);
+      }
+      page = await context.newPage().catch((error) => {
+        // Playwright records video with its own ffmpeg build
+        if (/ffmpeg/.test(error.message)) {
+          throw new Error('Recording video needs ffmpeg. Run "npx playwright install ffmpeg".');
+        }
+        throw error;
+      });
+
+      // Throttling has its own DevTools protocol session. Going offline waits
+      // until the page has loaded, or there would be nothing to capture.
+      const throttling = supportsCdp(this.browserName) && (options.throttle || options.cpuThrottle)
+        ? await context.newCDPSession(page)
+        : null;
+      if (throttling && options.throttle && !options.throttle.offline) {
+        await emulateNetwork(throttling, options.throttle);
+      }
+      if (throttling && options.cpuThrottle) {
+        await emulateCpu(throttling, options.cpuThrottle);
+      }
+
+      if (options.perf) {
+        await installPerfObservers(page);
+      }
+      const security = options.audits.includes('security') ? await trackSecurity(page) : null;
+
+      const network = networkRequests ? await trackNetwork(page, this, networkRequests) : null;
+      const waitConditions = hasWaitConditions(options) ? armWaitConditions(page, options) : null;
+      const consoleTracking = await this._trackConsole(browser, page, capture, waitConditions);
+      if (hasInterception(options)) {
+        await installInterception(page, options, (request, interception) => {
+          if (network) {
+            network.markIntercepted(request, interception);
+          }
+        });
+      }
+
+      // Report request failures even when network tracking is off
+      page.on('requestfailed', (request) => {
+        if (!networkRequests) {
+          this.emit('requestfailed', this.tagStep({
+            url: redactor.text(request.url()),
+            method: request.method(),
+            resourceType: request.resourceType(),
+            failed: true,
+            failure: request.failure().errorText,
+            timestamp: new Date().toISOString()
+          }));
+        }
+      });
+
+      this.emit('navigating', this.displayUrl);
+
+      // Navigate to the page
+      await page.goto(url, {
+        waitUntil: options.waitUntil,
+        timeout: options.timeout
+      });
+
+      if (options.throttle && options.throttle.offline) {
+        await context.setOffline(true);
+      }
+
+      this.emit('loaded', {
+        delay: options.delay,
+        conditions: waitConditions ? waitConditions.names : [],
+        steps: options.steps ? options.steps.length : 0
+      });
+
+      if (options.steps) {
+        await this._runSteps(page);
+      }
+
+      if (waitConditions) {
+        // The delay becomes the longest we wait for the conditions
+        meta.ready = await waitConditions.wait(options.delay);
+        this.emit('ready', meta.ready);
+      } else {
+        await page.waitForTimeout(options.delay);
+      }
+
+      // Metrics cover everything up to the end of the capture, steps included
+      let perf = null;
+      if (options.perf) {
+        perf = await collectPerf(page, this.browserName).catch((error) => {
+          this.warn(new Error(`Could not collect performance metrics: ${error.message.split('\n')[0]}`));
+          return null;
+        });
+      }
+      if (perf && options.budget.length > 0) {
+        perf.budget = evaluateBudget(options.budget, perf);
+      }
+
+      // Let messages that are still being resolved and response bodies
+      // that are still being read finish
+      await consoleTracking.settle();
+      await consoleTracking.detach();
+      if (network) {
+        await network.settle();
+      }
+      if (security) {
+        await security.settle();
+      }
+
+      // Keep the session (including cookies the page refreshed) for later
+      // runs. Sessions in a shared browser leave saving to their batch or
+      // watch, which merges what they all refreshed into one write.
+      if (options.storageState) {
+        this.storageState = await context.storageState();
+        if (ownsBrowser) {
+          saveStorageState(options.storageState, this.storageState);
+        }
+      }
+
+      if (artifacts) {
+        await artifacts.finish(context, page);
+      }
+
+      finishMeta();
+      const policy = options.failOn.length > 0 ? evaluatePolicy(options.failOn, options.maxErrors, capture) : null;
+      const audit = security ? { security: redactor.value(security.report()) } : null;
+      const result = buildResult({ meta, ...capture, policy, perf, audit, artifacts });
+      if (options.baseline) {
+        result.baseline = compareBaseline(options.baseline, result, options.slowdownThreshold);
+      }
+      this.emit('complete', result);
+      return result;
+    } catch (error) {
+      // Show what the page looked like when the capture failed
+      if (artifacts && page) {
+        await artifacts.finish(context, page);
+      }
+      finishMeta();
+      // Navigation errors quote the URL
+      error.message = redactor.text(error.message);
+      error.stack = redactor.text(error.stack);
+      // Keep whatever was captured before the failure
+      error.result = buildResult({ meta, ...capture, artifacts, error });
+      throw error;
+    } finally {
+      // The video is only complete once its context has closed
+      if (artifacts && page) {
+        await context.close().catch(() => {});
+        await artifacts.saveVideo(page);
+      }
+      if (ownsBrowser && browser) {
+        await browser.close();
+        this.emit('close', { shared: false });
+      } else if (context) {
+        // A shared browser may already be gone; don't mask the real error
+        await context.close().catch(() => {});
+        this.emit('close', { shared: true });
+      }
+    }
+  }
+
+  async _runSteps(page) {
+    const { steps } = this.options;
+
+    for (const [index, step] of steps.entries()) {
+      const description = this.options.redactor.text(describeStep(step));
+      this.activeStep = index + 1;
+      this.emit('step', { step: index + 1, total: steps.length, action: step.action, description });
+
+      try {
+        await runStep(page, step, this.options);
+      } catch (error) {
+        // Playwright appends a call log after the first line
+        throw new Error(`Step ${index + 1} (${description}) failed: ${error.message.split('\n')[0]}`);
+      }
+    }
+  }
+
+  // Follows the page's console and page errors, and those of its popups and
+  // workers, passing each message to the wait conditions (if any). Returns
+  // `settle()`, which waits for messages still being processed, and `detach()`.
+  async _trackConsole(browser, page, { consoleMessages, consoleStats, consoleCounts, pageErrors }, waitConditions) {
+    const { options } = this;
+    const context = page.context();
+    const keep = createMessageFilter(options);
+    const isNew = options.dedupe ? createDeduper() : () => true;
+    // Other engines only offer what Playwright's console event has
+    const calls = supportsCdp(this.browserName) ? await trackConsoleCalls(page) : null;
+    const sourceMaps = options.sourceMaps
+      ? createSourceMapResolver(page, typeof options.sourceMaps === 'string' ? options.sourceMaps : null, warning => this.warn(warning))
+      : null;
+
+    const pending = new Set();
+    const track = (handler) => (...args) => {
+      const promise = handler(...args).finally(() => pending.delete(promise));
+      pending.add(promise);
+    };
+
+    // Popups are numbered in the order they open
+    const popups = new Map();
+    context.on('page', (popup) => {
+      popups.set(popup, popups.size + 1);
+    });
+    const popupTarget = source => ({ type: 'popup', id: popups.get(source), url: source.url() });
+
+    const describe = async (msg, step, timestamp) => {
+      const source = msg.page();
+      const target = source === page ? await consoleTarget(msg, page) : popupTarget(source);
+      const location = toLocation(msg.location());
+      // Protocol events are only followed for the page itself
+      const call = calls && source === page ? await calls.take(msg.type(), location) : null;
+      const { text, args, frames } = call
+        ? await describeConsoleCall(calls.cdp, call, options.argDepth)
+        : await describeConsoleMessage(msg);
+      if (sourceMaps) {
+        await sourceMaps.resolveLocation(location);
+        if (frames) {
+          await sourceMaps.resolveFrames(frames);
+        }
+      }
+
+      return toMessage({ type: msg.type(), text, args, location, frames, target }, step, timestamp);
+    };
+
+    const toMessage = ({ type, text, args, location, frames, target }, step, timestamp) => {
+      const message = this.tagStep({
+        type,
+        text,
+        args,
+        location,
+        target,
+        timestamp
+      }, step);
+      if (frames) {
+        message.stack = formatStack(frames);
+        message.frames = frames;
+      }
+      return message;
+    };
+
+    // Messages from shared and service workers come straight from the protocol
+    const describeWorkerCall = async (call, session, target, step, timestamp) => {
+      const { text, args, frames } = await describeConsoleCall(session, call, options.argDepth);
+      const [top] = call.stackTrace ? fromCallFrames(call.stackTrace.callFrames.slice(0, 1)) : [];
+      const location = top ? { url: top.url, line: top.line, column: top.column } : null;
+      if (sourceMaps && location) {
+        await sourceMaps.resolveLocation(location);
+      }
+      // Playwright reports console.warn() as "warning", as the protocol does
+      return toMessage({ type: call.type, text, args, location, frames, target }, step, timestamp);
+    };
+
+    // Capture console messages. They are described side by side but recorded
+    // in the order they were logged, with the step and time they were logged at.
+    let previous = Promise.resolve();
+    const record = track((describing) => {
+      const described = describing.catch((error) => {
+        this.warn(new Error(`Failed to process console message: ${error.message}`));
+        return null;
+      });
+
+      previous = previous.then(() => described).then((described) => {
+        if (!described) {
+          return;
+        }
+        // A listener that throws would otherwise reject the chain and drop
+        // every message after this one
+        try {
+          // Filters see the message as it will be reported
+          const message = options.redactor.value(described);
+          if (options.targets.includes(message.target.type)) {
+            consoleCounts[message.type] = (consoleCounts[message.type] || 0) + 1;
+            if (waitConditions) {
+              waitConditions.consoleMessage(message);
+            }
+          }
+          if (!keep(message)) {
+            consoleStats.filteredMessages++;
+          } else if (!isNew(message)) {
+            consoleStats.repeatedMessages++;
+          } else {
+            consoleMessages.push(message);
+            this.emit('console', message);
+          }
+        } catch (error) {
+          this.warn(new Error(`Failed to record console message: ${error.message}`));
+        }
+      });
+      return previous;
+    });
+    context.on('console', (msg) => {
+      record(describe(msg, this.activeStep, new Date().toISOString()));
+    });
+
+    // Capture page errors
+    const recordError = track(async ({ name, message, stack, frames }, target, source) => {
+      const step = this.activeStep;
+      const timestamp = new Date().toISOString();
+      if (!options.targets.includes(target.type)) {
+        return;
+      }
+      if (sourceMaps) {
+        await sourceMaps.resolveFrames(frames);
+      }
+
+      const top = frames[0];
+      const pageError = options.redactor.value(this.tagStep({
+        name,
+        message,
+        stack,
+        location: top ? { url: top.url, line: top.line, column: top.column, ...(top.original && { original: top.original }) } : null,
+        frames,
+        target,
+        timestamp
+      }, step));
+
+      pageErrors.push(pageError);
+      this.emit('pageerror', pageError);
+
+      // What the page looked like when it threw
+      if (this.artifacts && source && !source.isClosed()) {
+        const written = await this.artifacts.snapshotError(source);
+        if (written) {
+          pageError.artifacts = written.map(artifact => artifact.path);
+        }
+      }
+    });
+    context.on('weberror', (webError) => {
+      const source = webError.page();
+      const error = webError.error();
+      const frames = parseStack(error.stack);
+      const target = source === page ? errorTarget(frames, page) : popupTarget(source);
+      recordError({ name: error.name, message: error.message, stack: error.stack, frames }, target, source);
+    });
+
+    const wantsDetachedWorkers = options.targets.includes('shared-worker') || options.targets.includes('service-worker');
+    const workers = supportsCdp(this.browserName) && wantsDetachedWorkers
+      ? await trackDetachedWorkers(browser, page, {
+        onConsole: (call, session, target) => {
+          record(describeWorkerCall(call, session, target, this.activeStep, new Date().toISOString()));
+        },
+        onError: (details, target) => {
+          recordError(toPageError(details), target, page);
+        }
+      })
+      : null;
+
+    return {
+      settle: () => Promise.allSettled(pending),
+      detach: () => (workers ? workers.detach() : Promise.resolve())
+    };
+  }
+}
+
+/**
+ * Capture console output (and optionally network traffic) from a URL.
+ *
+ * Returns a TapSession: an EventEmitter that can also be awaited for the
+ * structured result. Throws synchronously on invalid options; a failed
+ * capture rejects with an error whose `result` holds the partial capture.
+ *
+ * @param {string} url - Page to load
+ * @param {object} [options]
+ * @param {number} [options.delay=3000] - Milliseconds to keep capturing after page load;
+ *   the longest wait when any wait condition is set
+ * @param {number} [options.timeout=30000] - Page load timeout in milliseconds
+ * @param {'commit'|'domcontentloaded'|'load'|'networkidle'} [options.waitUntil='domcontentloaded'] - Navigation event to wait for
+ * @param {string} [options.waitForSelector] - Stop once this CSS selector is visible
+ * @param {string|RegExp} [options.waitForConsole] - Stop once a console message matches
+ * @param {string} [options.waitForFunction] - Stop once this JS expression is truthy in the page
+ * @param {number} [options.quietPeriod] - Stop after this many ms without console or network activity
+ * @param {number} [options.argDepth=3] - Levels of nested objects kept in console `args`
+ * @param {string|string[]} [options.levels] - Console message types to keep (default: all)
+ * @param {string|string[]} [options.targets] - Where messages and page errors are kept from: 'page',
+ *   'iframe', 'worker', 'shared-worker', 'service-worker', 'popup' (default: all)
+ * @param {string|RegExp|Array} [options.include] - Keep only messages whose text or URL matches
+ * @param {string|RegExp|Array} [options.exclude] - Drop messages whose text or URL matches
+ * @param {boolean} [options.dedupe=false] - Collapse repeated messages into one with a `count`
+ * @param {object[]} [options.steps] - Interaction steps to run after the page loads (see steps.js)
+ * @param {boolean|string} [options.sourceMaps=false] - Resolve locations through source maps;
+ *   a directory path is searched for .map files before the maps scripts link to
+ * @param {boolean} [options.headless=true] - Run the browser headless
+ * @param {string} [options.browser='chromium'] - Engine: 'chromium', 'firefox' or 'webkit'
+ * @param {string} [options.userAgent] - Custom user agent string
+ * @param {string} [options.device] - Playwright device descriptor name, e.g. 'iPhone 13'
+ * @param {string|object} [options.viewport] - 'WIDTHxHEIGHT' or `{ width, height }`
+ * @param {string} [options.locale] - Browser locale, e.g. 'de-DE'
+ * @param {string} [options.timezone] - IANA time zone, e.g. 'Europe/Berlin'
+ * @param {string|object} [options.geolocation] - 'lat,lng' or `{ latitude, longitude }`
+ * @param {'light'|'dark'|'no-preference'} [options.colorScheme] - prefers-color-scheme
+ * @param {boolean|'reduce'|'no-preference'} [options.reducedMotion] - prefers-reduced-motion
+ * @param {object} [options.headers] - Extra HTTP headers sent to every origin
+ * @param {object} [options.originHeaders] - Origins (globs allowed) mapped to headers sent only to them
+ * @param {object[]|string} [options.cookies] - Cookies to add, as objects or cookies.txt/JSON text
+ * @param {string} [options.storageState] - Playwright storage state file to load, and to save when done
+ * @param {string|object} [options.httpCredentials] - 'user:pass' for HTTP authentication
+ * @param {string|object|Array} [options.clientCertificates] - 'origin,cert,key[,passphrase]' or
+ *   'origin,pfx[,passphrase]' (or Playwright clientCertificates objects)
+ * @param {string} [options.loginScript] - Module whose default export logs in, given `{ page, context, url }`;
+ *   runs when there is no saved storage state
+ * @param {boolean|'basic'|'verbose'} [options.network=false] - Track network requests
+ * @param {string|string[]} [options.failOn] - Failure rules to evaluate (see policy.js)
+ * @param {number} [options.maxErrors=0] - Matching events tolerated per rule
+ * @param {string} [options.throttle] - Network profile: 'slow-3g', 'fast-3g', 'offline' (once loaded)
+ *   or 'custom:<down kbps>,<up kbps>,<latency ms>'
+ * @param {number} [options.cpuThrottle] - CPU slowdown factor (2 is twice as slow)
+ * @param {string|string[]} [options.block] - URL globs of requests to abort
+ * @param {object} [options.mock] - URL globs mapped to `{ status, headers, body }` or `{ status, headers, file }`
+ * @param {object} [options.rewrite] - Hosts mapped to request headers to set (or remove, when null)
+ * @param {object} [options.baseline] - Baseline from createBaseline() to compare the capture with
+ * @param {number} [options.slowdownThreshold=50] - Percent slower a request must get to count as a regression
+ * @param {boolean} [options.perf=false] - Record Web Vitals, long tasks and memory use
+ * @param {string|object} [options.budget] - Metric limits like 'lcp=2500,cls=0.1' (or `{ lcp: 2500 }`); implies perf
+ * @param {string|string[]} [options.audit] - Audits to run: 'security'
+ * @param {string|RegExp|Array} [options.redact] - Extra patterns to redact from everything reported;
+ *   only the first capture group is replaced when there is one
+ * @param {boolean} [options.showSecrets=false] - Turn off the built-in redaction rules
+ * @param {string} [options.artifactsDir] - Directory to write screenshots, DOM snapshots, traces and videos to
+ * @param {string|string[]} [options.artifacts] - Artifacts to write: 'screenshot', 'dom', 'trace', 'video'
+ *   (default: screenshot, dom and trace)
+ * @param {boolean} [options.responseBodies=false] - Keep response bodies (for HAR export)
+ * @param {number} [options.maxBodySize=1048576] - Bytes kept per response body
+ * @param {boolean} [options.webSocketFrames=false] - Keep WebSocket frame payloads
+ * @param {number} [options.maxFramePayload=1024] - Characters kept per frame payload
+ * @returns {TapSession}
+ */
+export function tap(url, options = {}) {
+  try {
+    new URL(url);
+  } catch {
+    throw new Error(`Invalid URL "${url}"`);
+  }
+
+  const normalized = normalizeOptions(options);
+  if (normalized.browsers.length > 1) {
+    throw new Error('Capturing in several browsers needs tapMany()');
+  }
+  return new TapSession(url, normalized);
+}
+
+export { tap as tapConsole };
+export { toHar, writeHar } from './har.js';
+export { createBaseline, writeBaseline, compareBaseline, BASELINE_EXIT_CODE } from './baseline.js';
+export { BROWSERS, compareBrowsers } from './browsers.js';
+export { BUDGET_METRICS, PERF_BUDGET_EXIT_CODE } from './perf.js';
+export { AUDIT_TYPES } from './audit.js';
+export { REDACTED, createRedactor } from './redact.js';
+
+// Per-page counts and the totals across a batch
+function summarizeBatch(results) {
+  const pages = results.map(result => ({
+    url: result.meta.url,
+    browser: result.meta.browser.name,
+    consoleErrors: countMessages(result.console, 'error'),
+    pageErrors: result.pageErrors.length,
+    failedRequests: result.network ? result.network.filter(req => req.failed).length : null,
+    policy: result.policy ? (result.policy.passed ? 'passed' : 'failed') : null,
+    baseline: result.baseline && !result.baseline.missing ? (result.baseline.passed ? 'passed' : 'regressed') : null,
+    perf: result.perf && result.perf.budget ? (result.perf.budget.passed ? 'passed' : 'exceeded') : null,
+    securityFindings: result.audit && result.audit.security ? result.audit.security.counts : null,
+    artifactsDir: result.meta.artifactsDir,
+    error: result.error ? result.error.message : null
+  }));
+
+  const sum = key => pages.reduce((total, page) => total + (page[key] || 0), 0);
+
+  return {
+    urls: pages.length,
+    errored: pages.filter(page => page.error).length,
+    consoleErrors: sum('consoleErrors'),
+    pageErrors: sum('pageErrors'),
+    failedRequests: results.some(result => result.network) ? sum('failedRequests') : null,
+    pages
+  };
+}
+
+// Several captures sharing one browser per engine, each in its own context,
+// with at most `concurrency` pages open at once. Emits `session` (session,
+// index) as each capture starts, then `complete` and `close`. A failed capture does
+// not stop the batch: its partial result (with an `error` field) is kept.
+export class TapBatch extends AwaitableEmitter {
+  constructor(urls, options, concurrency) {
+    super();
+    this.urls = urls;
+    this.displayUrls = urls.map(url => options.redactor.text(url));
+    this.options = options;
+    this.concurrency = concurrency;
+    // One capture per URL and engine
+    this.total = urls.length * options.browsers.length;
+    this.start();
+  }
+
+  async _run() {
+    const { urls, options, concurrency } = this;
+    const startedAt = new Date();
+    const results = [];
+
+    // Engines run one after the other, so results are grouped by engine
+    // and in input order within each
+    for (const [engine, name] of options.browsers.entries()) {
+      const engineOptions = { ...options, browsers: [name] };
+      const offset = engine * urls.length;
+      let next = 0;
+
+      // An engine that can't launch still gets a session per URL, which
+      // reports the launch error as its capture error
+      let browser = null;
+      let launchError = null;
+      try {
+        browser = await launchBrowser(name, options);
+      } catch (error) {
+        launchError = error;
+      }
+
+      let sessionState;
+      // Storage states of the finished captures, in the order they finished
+      const storageStates = [];
+      const worker = async () => {
+        while (next < urls.length) {
+          const index = next++;
+          const session = new TapSession(urls[index], engineOptions, browser, sessionState, launchError);
+          this.emit('session', session, offset + index);
+          try {
+            results[offset + index] = await session;
+          } catch (error) {
+            results[offset + index] = error.result;
+          }
+          if (session.storageState) {
+            storageStates.push(session.storageState);
+          }
+        }
+      };
+
+      try {
+        // Load the session or run the login script once for all pages
+        if (browser) {
+          sessionState = await loadSession(browser, options, toCaptureContextOptions(options, name), urls[0]);
+        }
+        const workers = Array.from({ length: Math.min(concurrency, urls.length) }, worker);
+        await Promise.all(workers);
+        if (storageStates.length > 0) {
+          saveStorageState(options.storageState, mergeStorageStates(storageStates));
+        }
+      } finally {
+        if (browser) {
+          await browser.close();
+        }
+      }
+    }
+
+    const finishedAt = new Date();
+    const result = {
+      meta: {
+        tool: 'browser-console-tap',
+        version: VERSION,
+        urls: this.displayUrls,
+        browsers: options.browsers,
+        concurrency,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt
+      },
+      results,
+      summary: summarizeBatch(results)
+    };
+    if (options.browsers.length > 1) {
+      result.summary.browsers = compareBrowsers(results);
+    }
+
+    this.emit('complete', result);
+    this.emit('close');
+    return result;
+  }
+}
+
+/**
+ * Capture several URLs in one browser. Takes the same options as tap(),
+ * plus `concurrency` (default 1), and `browser` may also be 'all' or a
+ * comma-separated list of engines. Returns a TapBatch that resolves with
+ * `{ meta, results, summary }`, where `results` holds one tap() result
+ * per URL in input order, engine by engine. With several engines
+ * `summary.browsers` compares them (see compareBrowsers()).
+ *
+ * @param {string[]} urls - Pages to load
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1] - Pages captured at the same time
+ * @param {string|string[]} [options.browser='chromium'] - Engines, 'all' or a comma-separated list
+ * @returns {TapBatch}
+ */
+export function tapMany(urls, options = {}) {
+  if (!Array.isArray(urls) || urls.length === 0) {
+    throw new Error('At least one URL is required');
+  }
+
+  for (const url of urls) {
+    try {
+      new URL(url);
+    } catch {
+      throw new Error(`Invalid URL "${url}"`);
+    }
+  }
+
+  const concurrency = parseInt(options.concurrency ?? 1);
+  if (isNaN(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency "${options.concurrency}". Must be at least 1.`);
+  }
+
+  return new TapBatch(urls, normalizeOptions(options), concurrency);
+}
+
+// Captures of one page, repeated on a schedule or when watched files change,
+// in one browser that stays open. Emits `cycle` (session, number, trigger)
+// as each capture starts and `delta` (delta, result) once it ends, then
+// `close` after stop(). A failed capture does not stop watching.
+export class TapWatch extends AwaitableEmitter {
+  constructor(url, options, watchOptions) {
+    super();
+    this.url = url;
+    this.displayUrl = options.redactor.text(url);
+    this.options = options;
+    this.interval = watchOptions.interval;
+    this.files = watchOptions.files;
+    this.onChange = watchOptions.onChange;
+    this.stopped = false;
+    // Resolves the wait for the next cycle
+    this.wake = null;
+    // A file change seen while a cycle was running
+    this.pending = null;
+    this.start();
+  }
+
+  // Finish the running cycle, then close the browser
+  stop() {
+    this.stopped = true;
+    if (this.wake) {
+      this.wake('stop');
+    }
+  }
+
+  // A watched file changed: start the next cycle now, or as soon as the
+  // running one ends
+  _fileChanged(file) {
+    if (this.wake) {
+      this.wake(`change ${file}`);
+    } else {
+      this.pending = `change ${file}`;
+    }
+  }
+
+  // Wait for the interval to pass or a watched file to change
+  _nextTrigger() {
+    if (this.pending) {
+      const reason = this.pending;
+      this.pending = null;
+      return Promise.resolve(reason);
+    }
+    return new Promise((resolve) => {
+      let timer = null;
+      this.wake = (reason) => {
+        clearTimeout(timer);
+        this.wake = null;
+        resolve(reason);
+      };
+      if (this.interval) {
+        timer = setTimeout(() => this.wake('interval'), this.interval);
+      }
+    });
+  }
+
+  async _run() {
+    const { url, options } = this;
+    const browser = await launchBrowser(options.browsers[0], options);
+    const unwatch = this.files.length > 0 ? watchFiles(this.files, file => this._fileChanged(file)) : () => {};
+
+    let previous = null;
+    let cycle = 0;
+    let trigger = 'start';
+    try {
+      // Load the session or run the login script once for all cycles
+      const sessionState = await loadSession(browser, options, toCaptureContextOptions(options, options.browsers[0]), url);
+
+      while (!this.stopped) {
+        cycle++;
+        const session = new TapSession(url, options, browser, sessionState);
+        this.emit('cycle', session, cycle, trigger);
+        let result;
+        try {
+          result = await session;
+        } catch (error) {
+          result = error.result;
+        }
+        if (session.storageState) {
+          saveStorageState(options.storageState, session.storageState);
+        }
+
+        const { delta, issues } = diffCycle(previous, result, cycle);
+        previous = issues;
+        this.emit('delta', delta, result);
+        if (delta.changed && this.onChange) {
+          try {
+            await notifyChange(this.onChange, delta);
+          } catch (error) {
+            this.emit('warning', new Error(`--on-change failed: ${error.message}`));
+          }
+        }
+
+        if (!this.stopped) {
+          trigger = await this._nextTrigger();
+        }
+      }
+    } finally {
+      unwatch();
+      await browser.close();
+    }
+
+    this.emit('close');
+    return { cycles: cycle };
+  }
+}
+
+/**
+ * Watch one page: capture it, then capture it again every `interval` and/or
+ * whenever one of `watchFiles` changes, comparing each cycle with the one
+ * before. Takes the same options as tap(). Returns a TapWatch that runs
+ * until stop() is called and then resolves with `{ cycles }`.
+ *
+ * @param {string} url - Page to load
+ * @param {object} [options]
+ * @param {string|number} [options.interval] - Time between cycles: '30s', '5m', '1h' or milliseconds
+ * @param {string|string[]} [options.watchFiles] - Files or directories whose changes start a cycle
+ * @param {string} [options.onChange] - Shell command to run, or http(s) URL to POST the delta to,
+ *   when the set of errors changes
+ * @returns {TapWatch}
+ */
+export function watch(url, options = {}) {
+  try {
+    new URL(url);
+  } catch {
+    throw new Error(`Invalid URL "${url}"`);
+  }
+
+  const watchOptions = {
+    interval: options.interval == null ? null : parseInterval(options.interval),
+    files: parseWatchFiles(options.watchFiles),
+    onChange: options.onChange ?? null
+  };
+  if (!watchOptions.interval && watchOptions.files.length === 0) {
+    throw new Error('Watching needs an interval, files to watch, or both');
+  }
+
+  const normalized = normalizeOptions(options);
+  if (normalized.browsers.length > 1) {
+    throw new Error('Watching runs in one browser');
+  }
+  return new TapWatch(url, normalized, watchOptions);
+}
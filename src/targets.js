@@ -0,0 +1,187 @@
+import { fromCallFrames } from './stack.js';
+
+// Where console messages and page errors come from (--targets): the page
+// itself, its iframes, dedicated, shared and service workers, and popups
+// the page opens. Every message and page error carries a `target`:
+// `{ type, url }`, plus `id` for popups (numbered in the order they open).
+
+export const TARGET_TYPES = ['page', 'iframe', 'worker', 'shared-worker', 'service-worker', 'popup'];
+
+// Workers outside the page that Playwright doesn't report, keyed by their
+// DevTools protocol target type
+const DETACHED_WORKERS = {
+  shared_worker: 'shared-worker',
+  service_worker: 'service-worker'
+};
+
+// Parse a comma-separated target list (or an array) into target types
+export function parseTargets(value) {
+  const targets = [].concat(value ?? TARGET_TYPES).join(',').split(',').map(target => target.trim()).filter(Boolean);
+  const unknown = targets.filter(target => !TARGET_TYPES.includes(target));
+  if (unknown.length > 0 || targets.length === 0) {
+    throw new Error(`Invalid targets "${value}". Must be one or more of: ${TARGET_TYPES.join(', ')}.`);
+  }
+  return [...new Set(targets)];
+}
+
+// Target of a console message on the captured page. The message's first
+// argument lives in the global scope that logged it, which tells a frame
+// from a worker; messages without arguments are put down to the page.
+export async function consoleTarget(msg, page) {
+  const [arg] = msg.args();
+  if (arg) {
+    try {
+      // Runs in the page or worker, where globalThis is its global scope
+      const [url, isWorker, isFrame] = await arg.evaluate(() => [
+        globalThis.location.href,
+        typeof globalThis.DedicatedWorkerGlobalScope !== 'undefined',
+        globalThis.top !== globalThis
+      ]);
+      if (isWorker) {
+        return { type: 'worker', url };
+      }
+      return isFrame ? { type: 'iframe', url } : { type: 'page', url };
+    } catch {
+      // The frame or worker is already gone
+    }
+  }
+  return { type: 'page', url: page.url() };
+}
+
+// Target of a page error on the captured page, from the script at the top
+// of its stack: a worker's script, or an iframe's document for inline scripts
+export function errorTarget(frames, page) {
+  const url = frames[0] && frames[0].url;
+  if (url) {
+    if (page.workers().some(worker => worker.url() === url)) {
+      return { type: 'worker', url };
+    }
+    const frame = page.frames().find(frame => frame !== page.mainFrame() && frame.url() === url);
+    if (frame) {
+      return { type: 'iframe', url };
+    }
+  }
+  return { type: 'page', url: page.url() };
+}
+
+// Protocol session for a target attached through the browser session. It
+// has the `send()` the console and preview helpers expect; requests still
+// waiting when the target goes away are rejected.
+function createTargetSession(cdp, sessionId) {
+  let lastId = 0;
+  const pending = new Map();
+
+  return {
+    send(method, params = {}) {
+      const id = ++lastId;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        cdp.send('Target.sendMessageToTarget', { sessionId, message: JSON.stringify({ id, method, params }) }).catch((error) => {
+          pending.delete(id);
+          reject(error);
+        });
+      });
+    },
+
+    // Settle the request a response belongs to
+    receive(message) {
+      const request = pending.get(message.id);
+      if (!request) {
+        return;
+      }
+      pending.delete(message.id);
+      if (message.error) {
+        request.reject(new Error(message.error.message));
+      } else {
+        request.resolve(message.result);
+      }
+    },
+
+    detach() {
+      for (const request of pending.values()) {
+        request.reject(new Error('Target closed'));
+      }
+      pending.clear();
+    }
+  };
+}
+
+// Page error from a protocol Runtime.exceptionThrown event
+export function toPageError(details) {
+  const exception = details.exception || {};
+  const description = exception.description || details.text;
+  const name = exception.className || 'Error';
+  const [firstLine] = description.split('\n');
+  const message = firstLine.startsWith(`${name}: `) ? firstLine.slice(name.length + 2) : firstLine;
+  const frames = details.stackTrace ? fromCallFrames(details.stackTrace.callFrames) : [];
+
+  return { name, message, stack: description, frames };
+}
+
+// Follow the shared and service workers of a page's browser context, which
+// Playwright doesn't report console messages for. Chromium only: attaches
+// to each worker through the browser's DevTools protocol session. The
+// handlers get `(call, session, target)` for each Runtime.consoleAPICalled
+// event and `(details, target)` for each uncaught exception, including those
+// from before the worker was attached. Returns `{ detach }`.
+export async function trackDetachedWorkers(browser, page, { onConsole, onError }) {
+  // Detaching a page session clears the page's network emulation, so this
+  // one stays attached until the end
+  const pageSession = await page.context().newCDPSession(page);
+  const { targetInfo: pageInfo } = await pageSession.send('Target.getTargetInfo');
+
+  const cdp = await browser.newBrowserCDPSession();
+  const sessions = new Map();
+
+  cdp.on('Target.targetCreated', async ({ targetInfo }) => {
+    const type = DETACHED_WORKERS[targetInfo.type];
+    // A shared browser also runs other captures' workers
+    if (!type || targetInfo.browserContextId !== pageInfo.browserContextId) {
+      return;
+    }
+
+    try {
+      const { sessionId } = await cdp.send('Target.attachToTarget', { targetId: targetInfo.targetId, flatten: false });
+      const session = createTargetSession(cdp, sessionId);
+      sessions.set(sessionId, { session, target: { type, url: targetInfo.url } });
+      // Enabling the runtime replays messages and errors logged so far
+      await session.send('Runtime.enable');
+    } catch {
+      // The worker stopped before it could be attached
+    }
+  });
+
+  cdp.on('Target.receivedMessageFromTarget', ({ sessionId, message }) => {
+    const attached = sessions.get(sessionId);
+    if (!attached) {
+      return;
+    }
+    const data = JSON.parse(message);
+    if (data.id) {
+      attached.session.receive(data);
+    } else if (data.method === 'Runtime.consoleAPICalled') {
+      onConsole(data.params, attached.session, attached.target);
+    } else if (data.method === 'Runtime.exceptionThrown') {
+      onError(data.params.exceptionDetails, attached.target);
+    }
+  });
+
+  cdp.on('Target.detachedFromTarget', ({ sessionId }) => {
+    const attached = sessions.get(sessionId);
+    if (attached) {
+      attached.session.detach();
+      sessions.delete(sessionId);
+    }
+  });
+
+  await cdp.send('Target.setDiscoverTargets', { discover: true });
+
+  return {
+    async detach() {
+      sessions.forEach(({ session }) => session.detach());
+      sessions.clear();
+      await cdp.detach().catch(() => {});
+      await pageSession.detach().catch(() => {});
+    }
+  };
+}
@@ -0,0 +1,56 @@
+// Network and CPU throttling (--throttle, --cpu-throttle) through the DevTools
+// protocol. Speeds are in kilobits per second and latency in milliseconds.
+
+// Presets matching Chrome DevTools' network throttling menu
+export const THROTTLE_PROFILES = {
+  'slow-3g': { downloadKbps: 400, uploadKbps: 400, latencyMs: 2000 },
+  'fast-3g': { downloadKbps: 1440, uploadKbps: 675, latencyMs: 563 },
+  offline: { offline: true }
+};
+
+const CUSTOM_PATTERN = /^custom:(\d+(?:\.\d+)?),(\d+(?:\.\d+)?),(\d+)$/;
+
+// Parse a --throttle value into `{ profile, ...conditions }`
+export function parseThrottle(value) {
+  if (THROTTLE_PROFILES[value]) {
+    return { profile: value, ...THROTTLE_PROFILES[value] };
+  }
+
+  const match = value.match(CUSTOM_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid throttle "${value}". Must be one of: ${Object.keys(THROTTLE_PROFILES).join(', ')}, custom:<down>,<up>,<latency>.`);
+  }
+  return {
+    profile: 'custom',
+    downloadKbps: parseFloat(match[1]),
+    uploadKbps: parseFloat(match[2]),
+    latencyMs: parseInt(match[3])
+  };
+}
+
+// One-line description for banners, e.g. "slow-3g (400 kbps down, 400 kbps up, 2000ms latency)"
+export function describeThrottle(throttle) {
+  if (throttle.offline) {
+    return `${throttle.profile} (after the page loads)`;
+  }
+  return `${throttle.profile} (${throttle.downloadKbps} kbps down, ${throttle.uploadKbps} kbps up, ${throttle.latencyMs}ms latency)`;
+}
+
+const toBytesPerSecond = kbps => Math.round(kbps * 1000 / 8);
+
+// Apply network conditions to the page behind a CDP session. Going offline
+// doesn't need CDP and is done with context.setOffline() instead.
+export async function emulateNetwork(cdp, throttle) {
+  await cdp.send('Network.enable');
+  await cdp.send('Network.emulateNetworkConditions', {
+    offline: false,
+    latency: throttle.latencyMs,
+    downloadThroughput: toBytesPerSecond(throttle.downloadKbps),
+    uploadThroughput: toBytesPerSecond(throttle.uploadKbps)
+  });
+}
+
+// Slow the page's CPU down by `rate` (2 is twice as slow)
+export async function emulateCpu(cdp, rate) {
+  await cdp.send('Emulation.setCPUThrottlingRate', { rate });
+}
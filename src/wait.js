@@ -0,0 +1,121 @@
+// Navigation events page.goto() can wait for before the capture starts
+export const WAIT_UNTIL = ['commit', 'domcontentloaded', 'load', 'networkidle'];
+
+// How often the quiet period checks for silence
+const QUIET_POLL_MS = 50;
+
+// Whether any condition other than the fixed delay was requested
+export function hasWaitConditions(options) {
+  return Boolean(options.waitForSelector || options.waitForConsole || options.waitForFunction || options.quietPeriod);
+}
+
+// Arm the wait conditions on a page. This has to happen before navigation,
+// so a console message or request made while the page loads still counts.
+// Returns the condition `names`, `consoleMessage(message)`, which the
+// session calls with each console message it captures, and `wait(cap)`,
+// which resolves once every condition is met or `cap` milliseconds have
+// passed, with `{ satisfied, waitedMs, unmet }`.
+export function armWaitConditions(page, options) {
+  const conditions = [];
+  let stopped = false;
+  let consoleMessage = () => {};
+
+  if (options.waitForConsole) {
+    let matched;
+    const promise = new Promise(resolve => { matched = resolve; });
+    // Captured messages, so the pattern sees the text as it is reported,
+    // from frames, workers and popups too
+    consoleMessage = (message) => {
+      if (options.waitForConsole.test(message.text)) {
+        matched();
+      }
+    };
+    conditions.push({ name: `console ${options.waitForConsole}`, start: () => promise });
+  }
+
+  if (options.waitForSelector) {
+    conditions.push({
+      name: `selector "${options.waitForSelector}"`,
+      start: () => page.waitForSelector(options.waitForSelector, { timeout: 0 })
+    });
+  }
+
+  if (options.waitForFunction) {
+    conditions.push({
+      name: `function "${options.waitForFunction}"`,
+      start: () => page.waitForFunction(options.waitForFunction, undefined, { timeout: 0 })
+    });
+  }
+
+  if (options.quietPeriod) {
+    // Quiet means no console messages, no new requests and none in flight
+    const inFlight = new Set();
+    let lastActivity = Date.now();
+    const touch = () => { lastActivity = Date.now(); };
+
+    page.on('console', touch);
+    page.on('request', (request) => {
+      touch();
+      inFlight.add(request);
+      inFlight.delete(request.redirectedFrom());
+    });
+    page.on('requestfinished', (request) => {
+      touch();
+      inFlight.delete(request);
+    });
+    page.on('requestfailed', (request) => {
+      touch();
+      inFlight.delete(request);
+    });
+
+    conditions.push({
+      name: `${options.quietPeriod}ms quiet period`,
+      start: () => new Promise((resolve) => {
+        const check = () => {
+          if (stopped) {
+            return;
+          }
+          if (inFlight.size === 0 && Date.now() - lastActivity >= options.quietPeriod) {
+            resolve();
+            return;
+          }
+          setTimeout(check, QUIET_POLL_MS);
+        };
+        check();
+      })
+    });
+  }
+
+  return {
+    names: conditions.map(condition => condition.name),
+    consoleMessage,
+
+    async wait(cap) {
+      const startedAt = Date.now();
+      const unmet = new Set(conditions.map(condition => condition.name));
+      let timer;
+
+      const all = Promise.all(conditions.map(condition =>
+        Promise.resolve(condition.start()).then(() => unmet.delete(condition.name))
+      ));
+      // Waits still running when the cap is reached fail once the page closes
+      all.catch(() => {});
+
+      try {
+        await Promise.race([
+          all,
+          new Promise(resolve => { timer = setTimeout(resolve, cap); })
+        ]);
+      } finally {
+        clearTimeout(timer);
+        stopped = true;
+      }
+
+      return {
+        satisfied: unmet.size === 0,
+        waitedMs: Date.now() - startedAt,
+        unmet: [...unmet]
+      };
+    }
+  };
+}
@@ -0,0 +1,123 @@
+import { watch as watchPath } from 'fs';
+import { spawn } from 'child_process';
+import { collectIssues } from './baseline.js';
+import { countMessages } from './filter.js';
+
+// Watch mode (--watch, --watch-files, --on-change). The page is captured
+// again on a schedule or when local files change, and each cycle is compared
+// with the one before it: console errors, page errors and failed requests
+// that appeared or went away.
+
+const UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// Wait after a file change so a save touching several files reloads once
+const FILE_DEBOUNCE_MS = 300;
+
+// Parse "500ms", "30s", "5m", "1h" or a number of milliseconds
+export function parseInterval(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h)?$/);
+  const ms = match ? Math.round(parseFloat(match[1]) * UNITS[match[2] || 'ms']) : NaN;
+  if (!(ms > 0)) {
+    throw new Error(`Invalid watch interval "${value}". Must be a duration like 30s, 5m or 1h, or milliseconds.`);
+  }
+  return ms;
+}
+
+// Parse comma-separated paths to watch (or an array of them)
+export function parseWatchFiles(value) {
+  return [].concat(value ?? []).join(',').split(',').map(path => path.trim()).filter(Boolean);
+}
+
+// Issues of one cycle. A capture that failed counts as a single issue, so
+// the page going down and coming back are changes too.
+function cycleIssues(result) {
+  if (result.error) {
+    const text = result.error.message.split('\n')[0];
+    return new Map([[`capture ${text}`, { kind: 'capture error', text }]]);
+  }
+  return collectIssues(result);
+}
+
+// Compare a cycle's result with the previous cycle's issues (null on the
+// first cycle). Returns the delta and the issues to compare the next one with.
+export function diffCycle(previous, result, cycle) {
+  const issues = cycleIssues(result);
+  const added = [...issues].filter(([key]) => !previous || !previous.has(key)).map(([, issue]) => issue);
+  const resolved = previous ? [...previous].filter(([key]) => !issues.has(key)).map(([, issue]) => issue) : [];
+
+  const delta = {
+    url: result.meta.url,
+    cycle,
+    timestamp: new Date().toISOString(),
+    error: result.error ? result.error.message : null,
+    consoleErrors: countMessages(result.console, 'error'),
+    pageErrors: result.pageErrors.length,
+    failedRequests: [...issues.values()].filter(issue => issue.kind === 'failed request').length,
+    new: added,
+    resolved,
+    // The first cycle sets the starting point and is not a change
+    changed: previous !== null && (added.length > 0 || resolved.length > 0)
+  };
+  return { delta, issues };
+}
+
+// Watch files and directories, calling `onChange(path)` once per burst of
+// changes. Returns a function that stops watching.
+export function watchFiles(paths, onChange) {
+  let timer = null;
+  const watchers = paths.map((path) => {
+    const listener = (event, file) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => onChange(file ? `${path}/${file}` : path), FILE_DEBOUNCE_MS);
+    };
+    try {
+      return watchPath(path, { recursive: true }, listener);
+    } catch (error) {
+      // Recursive watching needs Node 20 on Linux; fall back to the top level
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+      return watchPath(path, listener);
+    }
+  });
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach(watcher => watcher.close());
+  };
+}
+
+// Tell --on-change about a delta. An http(s) URL gets the delta POSTed as
+// JSON; anything else runs as a shell command with the delta on stdin and
+// a summary in TAP_* environment variables.
+export async function notifyChange(target, delta) {
+  const body = JSON.stringify(delta);
+
+  if (/^https?:\/\//.test(target)) {
+    const response = await fetch(target, { method: 'POST', headers: { 'content-type': 'application/json' }, body });
+    if (!response.ok) {
+      throw new Error(`Webhook answered ${response.status} ${response.statusText}`);
+    }
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    const child = spawn(target, {
+      shell: true,
+      // Its output goes to stderr, keeping json and ndjson output parseable
+      stdio: ['pipe', 2, 2],
+      env: {
+        ...process.env,
+        TAP_URL: delta.url,
+        TAP_CYCLE: String(delta.cycle),
+        TAP_NEW: String(delta.new.length),
+        TAP_RESOLVED: String(delta.resolved.length)
+      }
+    });
+    child.on('error', reject);
+    child.on('close', code => (code === 0 ? resolve() : reject(new Error(`Command exited with code ${code}`))));
+    // A command that doesn't read stdin closes it early
+    child.stdin.on('error', () => {});
+    child.stdin.end(body);
+  });
+}
@@ -0,0 +1,181 @@
+// WebSocket capture. Chromium's DevTools protocol reports the real handshake
+// headers and every data frame; close codes are not part of it, so a small
+// init script reports each socket's CloseEvent through a binding.
+
+const CLOSE_BINDING = '__browserConsoleTapWebSocketClose';
+
+// Frames kept per socket when frame capture is on; later ones are only counted
+const MAX_FRAMES = 1000;
+
+const closeReporterScript = `(() => {
+  const NativeWebSocket = window.WebSocket;
+  if (!NativeWebSocket || NativeWebSocket.__browserConsoleTap) {
+    return;
+  }
+  class WebSocket extends NativeWebSocket {
+    constructor(...args) {
+      super(...args);
+      this.addEventListener('close', (event) => {
+        const report = window.${CLOSE_BINDING};
+        if (report) {
+          report({ url: this.url, code: event.code, reason: event.reason, wasClean: event.wasClean });
+        }
+      });
+    }
+  }
+  WebSocket.__browserConsoleTap = true;
+  window.WebSocket = WebSocket;
+})();`;
+
+function normalizeUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch {
+    return url;
+  }
+}
+
+// Lower-case header names, as Playwright does for HTTP requests
+function normalizeHeaders(headers = {}) {
+  const normalized = {};
+  for (const [name, value] of Object.entries(headers)) {
+    normalized[name.toLowerCase()] = value;
+  }
+  return normalized;
+}
+
+function truncatePayload(payload, maxLength) {
+  return payload.length > maxLength ? `${payload.substring(0, maxLength)}...` : payload;
+}
+
+// Track WebSocket connections on a page. `tracker.addEntry` adds an entry to
+// the session's network list, `tracker.emitEntry` emits a session event for
+// it and `tracker.redactor` takes secrets out of URLs, headers and frames.
+// Each socket gets one entry whose `response` is the handshake response and
+// whose `websocket` field holds message counts, close details and (with
+// `webSocketFrames`) the frames themselves.
+export async function trackWebSockets(page, options, tracker) {
+  const { redactor } = tracker;
+  const sockets = new Map();
+
+  const cdp = await page.context().newCDPSession(page);
+  await cdp.send('Network.enable');
+
+  cdp.on('Network.webSocketCreated', ({ requestId, url }) => {
+    const networkRequest = tracker.addEntry({
+      url: redactor.text(url),
+      method: 'WEBSOCKET',
+      headers: {},
+      postData: null,
+      resourceType: 'websocket',
+      timestamp: new Date().toISOString(),
+      startTime: Date.now(),
+      isWebSocket: true,
+      websocket: {
+        messagesSent: 0,
+        messagesReceived: 0,
+        bytesSent: 0,
+        bytesReceived: 0,
+        closed: false,
+        closeCode: null,
+        closeReason: null,
+        wasClean: null,
+        durationMs: null,
+        frames: options.webSocketFrames ? [] : null,
+        framesDropped: 0
+      }
+    });
+    sockets.set(requestId, networkRequest);
+    tracker.emitEntry('websocket', networkRequest);
+  });
+
+  cdp.on('Network.webSocketWillSendHandshakeRequest', ({ requestId, request }) => {
+    const networkRequest = sockets.get(requestId);
+    if (networkRequest) {
+      networkRequest.headers = redactor.headers(normalizeHeaders(request.headers));
+    }
+  });
+
+  cdp.on('Network.webSocketHandshakeResponseReceived', ({ requestId, response }) => {
+    const networkRequest = sockets.get(requestId);
+    if (!networkRequest) {
+      return;
+    }
+
+    // Some handshakes only report the raw request headers along with the response
+    if (Object.keys(networkRequest.headers).length === 0 && response.requestHeaders) {
+      networkRequest.headers = redactor.headers(normalizeHeaders(response.requestHeaders));
+    }
+    networkRequest.response = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: redactor.headers(normalizeHeaders(response.headers)),
+      duration: Date.now() - networkRequest.startTime
+    };
+  });
+
+  const recordFrame = (direction) => ({ requestId, response }) => {
+    const networkRequest = sockets.get(requestId);
+    if (!networkRequest) {
+      return;
+    }
+
+    const { websocket } = networkRequest;
+    // Binary payloads arrive base64-encoded (opcode 2)
+    const size = response.opcode === 2 ? Buffer.byteLength(response.payloadData, 'base64') : Buffer.byteLength(response.payloadData);
+
+    if (direction === 'sent') {
+      websocket.messagesSent++;
+      websocket.bytesSent += size;
+    } else {
+      websocket.messagesReceived++;
+      websocket.bytesReceived += size;
+    }
+
+    if (websocket.frames) {
+      if (websocket.frames.length < MAX_FRAMES) {
+        websocket.frames.push({
+          direction,
+          opcode: response.opcode,
+          size,
+          // Text frames are redacted before truncating, so a secret cut in half is still caught
+          payload: truncatePayload(response.opcode === 2 ? response.payloadData : redactor.text(response.payloadData), options.maxFramePayload),
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        websocket.framesDropped++;
+      }
+    }
+  };
+
+  cdp.on('Network.webSocketFrameSent', recordFrame('sent'));
+  cdp.on('Network.webSocketFrameReceived', recordFrame('received'));
+
+  cdp.on('Network.webSocketFrameError', ({ requestId, errorMessage }) => {
+    const networkRequest = sockets.get(requestId);
+    if (networkRequest) {
+      networkRequest.failed = true;
+      networkRequest.failure = `WebSocket error: ${errorMessage}`;
+    }
+  });
+
+  cdp.on('Network.webSocketClosed', ({ requestId }) => {
+    const networkRequest = sockets.get(requestId);
+    if (networkRequest) {
+      networkRequest.websocket.closed = true;
+      networkRequest.websocket.durationMs = Date.now() - networkRequest.startTime;
+    }
+  });
+
+  // Close codes come from the page. Match them to the oldest socket with the
+  // same URL that has not reported one yet.
+  await page.exposeBinding(CLOSE_BINDING, (source, { url, code, reason, wasClean }) => {
+    const networkRequest = [...sockets.values()].find(req =>
+      normalizeUrl(req.url) === normalizeUrl(redactor.text(url)) && req.websocket.closeCode === null
+    );
+    if (networkRequest) {
+      Object.assign(networkRequest.websocket, { closeCode: code, closeReason: reason, wasClean });
+    }
+  });
+  await page.addInitScript(closeReporterScript);
+}